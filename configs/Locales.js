@@ -0,0 +1,175 @@
+// Locale registry consumed by service/LocaleRegistry.js.
+// Flip `enabled` to add a target; `fallback` is the folderCode to use when a
+// key is missing in that locale.
+const locales = {
+  source: {
+    folderCode: "en",
+    awsCode: "en",
+    name: "English",
+    direction: "ltr",
+  },
+  targets: [
+    {
+      folderCode: "ph",
+      awsCode: "tl",
+      name: "Filipino (Tagalog, Philippines)",
+      direction: "ltr",
+      fallback: "en",
+      enabled: true,
+    },
+    {
+      folderCode: "vi",
+      awsCode: "vi",
+      name: "Vietnamese",
+      direction: "ltr",
+      fallback: "en",
+      enabled: false,
+    },
+    {
+      folderCode: "es",
+      awsCode: "es",
+      name: "Spanish",
+      direction: "ltr",
+      fallback: "en",
+      enabled: false,
+    },
+    {
+      folderCode: "fr",
+      awsCode: "fr",
+      name: "French",
+      direction: "ltr",
+      fallback: "en",
+      enabled: false,
+    },
+    {
+      folderCode: "de",
+      awsCode: "de",
+      name: "German",
+      direction: "ltr",
+      fallback: "en",
+      enabled: false,
+    },
+    {
+      folderCode: "it",
+      awsCode: "it",
+      name: "Italian",
+      direction: "ltr",
+      fallback: "en",
+      enabled: false,
+    },
+    {
+      folderCode: "pt",
+      awsCode: "pt",
+      name: "Portuguese",
+      direction: "ltr",
+      fallback: "en",
+      enabled: false,
+    },
+    {
+      folderCode: "ru",
+      awsCode: "ru",
+      name: "Russian",
+      direction: "ltr",
+      fallback: "en",
+      enabled: false,
+    },
+    {
+      folderCode: "zh",
+      awsCode: "zh",
+      name: "Chinese (Simplified)",
+      direction: "ltr",
+      fallback: "en",
+      enabled: false,
+    },
+    {
+      folderCode: "zh-tw",
+      awsCode: "zh-TW",
+      name: "Chinese (Traditional)",
+      direction: "ltr",
+      fallback: "zh",
+      enabled: false,
+    },
+    {
+      folderCode: "ja",
+      awsCode: "ja",
+      name: "Japanese",
+      direction: "ltr",
+      fallback: "en",
+      enabled: false,
+    },
+    {
+      folderCode: "ko",
+      awsCode: "ko",
+      name: "Korean",
+      direction: "ltr",
+      fallback: "en",
+      enabled: false,
+    },
+    {
+      folderCode: "ar",
+      awsCode: "ar",
+      name: "Arabic",
+      direction: "rtl",
+      fallback: "en",
+      enabled: false,
+    },
+    {
+      folderCode: "hi",
+      awsCode: "hi",
+      name: "Hindi",
+      direction: "ltr",
+      fallback: "en",
+      enabled: false,
+    },
+    {
+      folderCode: "bn",
+      awsCode: "bn",
+      name: "Bengali",
+      direction: "ltr",
+      fallback: "en",
+      enabled: false,
+    },
+    {
+      folderCode: "ur",
+      awsCode: "ur",
+      name: "Urdu",
+      direction: "rtl",
+      fallback: "en",
+      enabled: false,
+    },
+    {
+      folderCode: "tr",
+      awsCode: "tr",
+      name: "Turkish",
+      direction: "ltr",
+      fallback: "en",
+      enabled: false,
+    },
+    {
+      folderCode: "th",
+      awsCode: "th",
+      name: "Thai",
+      direction: "ltr",
+      fallback: "en",
+      enabled: false,
+    },
+    {
+      folderCode: "id",
+      awsCode: "id",
+      name: "Indonesian",
+      direction: "ltr",
+      fallback: "en",
+      enabled: false,
+    },
+    {
+      folderCode: "ms",
+      awsCode: "ms",
+      name: "Malay",
+      direction: "ltr",
+      fallback: "en",
+      enabled: false,
+    },
+  ],
+};
+
+export default locales;
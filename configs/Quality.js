@@ -0,0 +1,22 @@
+// Target-locale quality checks consumed by service/QualityChecker.js.
+// `checks` maps each check to "error", "warning" or "off"; `maxLength` maps a
+// flattened key (or a "prefix.*" pattern) to its maximum length in
+// characters; `forbiddenTerms` lists terms per target folderCode ("*" for
+// every locale) that must not appear in a translation.
+const quality = {
+  checks: {
+    html_tags: "error",
+    whitespace: "warning",
+    punctuation: "warning",
+    untranslated: "warning",
+    numbers: "warning",
+    urls: "error",
+    emails: "error",
+    max_length: "error",
+    forbidden_terms: "error",
+  },
+  maxLength: {},
+  forbiddenTerms: {},
+};
+
+export default quality;
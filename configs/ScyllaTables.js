@@ -0,0 +1,10 @@
+// Table key definitions for ScyllaDb.loadTableConfigs (tableName -> keys)
+const scyllaTables = {
+  translation_memory: {
+    PK: "id",
+    description:
+      "Reusable translations keyed by source hash + source/target locale",
+  },
+};
+
+export default scyllaTables;
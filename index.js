@@ -3,6 +3,7 @@ import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
 import s3Routes from "./routes/routes.js";
+import translationRoutes from "./routes/translations.js";
 
 dotenv.config();
 
@@ -18,6 +19,7 @@ app.use(express.urlencoded({ extended: true, limit: "50mb" }));
 
 // Register routes AFTER body parsers
 app.use("/s3", s3Routes);
+app.use("/translations", translationRoutes);
 
 // Serve static files
 app.use(express.static(path.join(__dirname, "/public")));
@@ -0,0 +1,633 @@
+import express from "express";
+import multer from "multer";
+import LocaleRegistry from "../service/LocaleRegistry.js";
+import TranslationPromoter from "../service/TranslationPromoter.js";
+import TranslationJobs from "../service/TranslationJobs.js";
+import JobManifest from "../service/JobManifest.js";
+import TranslationReview from "../service/TranslationReview.js";
+import XliffConverter from "../service/XliffConverter.js";
+import GettextConverter from "../service/GettextConverter.js";
+import SpreadsheetExchange from "../service/SpreadsheetExchange.js";
+import CoverageReport from "../service/CoverageReport.js";
+import { ErrorHandler } from "../utils/index.js";
+
+const router = express.Router();
+const jobs = new TranslationJobs();
+const upload = multer(); // memory storage
+
+const isStringList = (v) =>
+  v === undefined ||
+  (Array.isArray(v) && v.every((x) => typeof x === "string" && x.trim()));
+// "a,b" query parameter -> ["a", "b"]
+const queryList = (v) =>
+  v
+    ? String(v)
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean)
+    : undefined;
+
+// ✅ Locale registry (source + all targets with their enabled flag)
+router.get("/locales", async (req, res) => {
+  try {
+    const registry = LocaleRegistry.load();
+    return res.json({
+      success: true,
+      message: "Locales fetched successfully",
+      ...registry.toJSON(),
+    });
+  } catch (err) {
+    const errors = ErrorHandler.get_all_errors();
+    ErrorHandler.clear();
+    console.error("Caught error in /locales route:", err.message);
+    return res.status(500).json({
+      success: false,
+      message: "Unexpected error occurred",
+      error: err.message,
+      details: errors.length ? errors : undefined,
+    });
+  }
+});
+
+// ✅ i18n modules with an en.json source file
+router.get("/modules", async (req, res) => {
+  try {
+    const modules = await jobs.listModules();
+    return res.json({
+      success: true,
+      message: "Modules fetched successfully",
+      modules,
+    });
+  } catch (err) {
+    console.error("Caught error in /modules route:", err.message);
+    return res.status(500).json({
+      success: false,
+      message: "Unexpected error occurred",
+      error: err.message,
+    });
+  }
+});
+
+// ✅ Start a translation job (optional module / locale filters; dryRun only
+// estimates characters and cost, charBudget aborts a job that would exceed it)
+router.post("/jobs", async (req, res) => {
+  try {
+    const {
+      modules,
+      locales,
+      provider,
+      pseudo,
+      resumeJobId,
+      dryRun,
+      charBudget,
+    } = req.body || {};
+    if (!isStringList(modules) || !isStringList(locales)) {
+      return res.status(400).json({
+        success: false,
+        message: "modules and locales must be arrays of strings",
+      });
+    }
+    const budget =
+      charBudget === undefined || charBudget === null || charBudget === ""
+        ? undefined
+        : Number(charBudget);
+    if (budget !== undefined && !(Number.isInteger(budget) && budget > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "charBudget must be a positive integer",
+      });
+    }
+    const dry = String(dryRun ?? "");
+    const job = await jobs.start({
+      modules,
+      locales,
+      provider,
+      pseudo,
+      resumeJobId,
+      dryRun: dry ? dry === "1" || dry === "true" : undefined,
+      charBudget: budget,
+    });
+    return res.status(202).json({
+      success: true,
+      message: `Job ${job.jobId} started`,
+      ...job,
+    });
+  } catch (err) {
+    console.error("Caught error in start job route:", err.message);
+    return res.status(400).json({
+      success: false,
+      message: "Failed to start job",
+      error: err.message,
+    });
+  }
+});
+
+// ✅ List jobs found under the job output root
+router.get("/jobs", async (req, res) => {
+  try {
+    const list = await jobs.list();
+    return res.json({
+      success: true,
+      message: "Jobs fetched successfully",
+      jobs: list,
+    });
+  } catch (err) {
+    console.error("Caught error in list jobs route:", err.message);
+    return res.status(500).json({
+      success: false,
+      message: "Unexpected error occurred",
+      error: err.message,
+    });
+  }
+});
+
+// ✅ Job manifest (status, pairs, errors)
+router.get("/jobs/:jobId", async (req, res) => {
+  try {
+    const job = await jobs.get(req.params.jobId);
+    return res.json({
+      success: true,
+      message: "Job fetched successfully",
+      job,
+    });
+  } catch (err) {
+    console.error("Caught error in get job route:", err.message);
+    return res.status(404).json({
+      success: false,
+      message: "Job not found",
+      error: err.message,
+    });
+  }
+});
+
+// ✅ Per module/locale status and errors (?status=failed to filter)
+router.get("/jobs/:jobId/pairs", async (req, res) => {
+  try {
+    const pairs = await jobs.pairs(req.params.jobId, {
+      status: req.query.status,
+    });
+    return res.json({
+      success: true,
+      message: "Job pairs fetched successfully",
+      jobId: req.params.jobId,
+      pairs,
+    });
+  } catch (err) {
+    console.error("Caught error in job pairs route:", err.message);
+    return res.status(404).json({
+      success: false,
+      message: "Job not found",
+      error: err.message,
+    });
+  }
+});
+
+// ✅ Quality issues stored with a job (?severity=error, ?check=html_tags,
+// ?modules=a,b, ?locales=x,y)
+router.get("/jobs/:jobId/quality", async (req, res) => {
+  try {
+    const report = await jobs.quality(req.params.jobId, {
+      severity: req.query.severity,
+      check: req.query.check,
+      modules: queryList(req.query.modules),
+      locales: queryList(req.query.locales),
+    });
+    return res.json({
+      success: true,
+      message: "Job quality issues fetched successfully",
+      ...report,
+    });
+  } catch (err) {
+    console.error("Caught error in job quality route:", err.message);
+    return res.status(404).json({
+      success: false,
+      message: "Job not found",
+      error: err.message,
+    });
+  }
+});
+
+// ✅ Live job progress as Server-Sent Events (snapshot, history, then live)
+router.get("/jobs/:jobId/events", async (req, res) => {
+  let job;
+  try {
+    job = await jobs.get(req.params.jobId);
+  } catch (err) {
+    return res.status(404).json({
+      success: false,
+      message: "Job not found",
+      error: err.message,
+    });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+  const send = (evt) =>
+    res.write(`event: ${evt.type}\ndata: ${JSON.stringify(evt)}\n\n`);
+
+  const { pairs, ...rest } = job;
+  send({
+    ...rest,
+    type: "snapshot",
+    jobId: req.params.jobId,
+    summary: JobManifest.summarize(pairs),
+    pairs,
+  });
+
+  let heartbeat = null;
+  let sub = null;
+  const close = () => {
+    clearInterval(heartbeat);
+    sub ? sub.unsubscribe() : null;
+    res.end();
+  };
+  sub = jobs.subscribe(req.params.jobId, (evt) => {
+    send(evt);
+    evt.type === "job_end" ? close() : null;
+  });
+  if (!sub) {
+    // Job already finished: the snapshot is all there is
+    send({ type: "job_end", jobId: req.params.jobId, status: job.status });
+    return res.end();
+  }
+  sub.history.forEach(send);
+  if (sub.history.some((evt) => evt.type === "job_end")) return close();
+  heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+  req.on("close", close);
+});
+
+// ✅ A translated file from a job's output
+router.get("/jobs/:jobId/files/:moduleName/:locale", async (req, res) => {
+  try {
+    const { jobId, moduleName, locale } = req.params;
+    const data = await jobs.readOutput(jobId, moduleName, locale);
+    return res.json(data);
+  } catch (err) {
+    console.error("Caught error in job file route:", err.message);
+    return res.status(404).json({
+      success: false,
+      message: "File not found",
+      error: err.message,
+    });
+  }
+});
+
+// ✅ Cancel a running job; pairs already in flight finish first
+router.post("/jobs/:jobId/cancel", async (req, res) => {
+  try {
+    const result = await jobs.cancel(req.params.jobId);
+    return res.json({
+      success: true,
+      message: `Job ${req.params.jobId} is being cancelled`,
+      ...result,
+    });
+  } catch (err) {
+    console.error("Caught error in cancel job route:", err.message);
+    return res.status(409).json({
+      success: false,
+      message: "Failed to cancel job",
+      error: err.message,
+    });
+  }
+});
+
+// ✅ Source vs. translation per key (?jobId= reviews a job's output)
+router.get("/review/:moduleName/:locale", async (req, res) => {
+  try {
+    const { moduleName, locale } = req.params;
+    const review = await new TranslationReview().load({
+      jobId: req.query.jobId || null,
+      moduleName,
+      locale,
+    });
+    return res.json({
+      success: true,
+      message: "Review loaded",
+      ...review,
+    });
+  } catch (err) {
+    console.error("Caught error in review route:", err.message);
+    return res.status(400).json({
+      success: false,
+      message: "Failed to load review",
+      error: err.message,
+    });
+  }
+});
+
+// ✅ Save reviewer edits and key statuses (body: { jobId?, edits, statuses })
+router.put("/review/:moduleName/:locale", async (req, res) => {
+  try {
+    const { jobId, edits = {}, statuses = {} } = req.body || {};
+    const isMap = (v) => v && typeof v === "object" && !Array.isArray(v);
+    if (!isMap(edits) || !isMap(statuses)) {
+      return res.status(400).json({
+        success: false,
+        message: "edits and statuses must be objects keyed by flattened key",
+      });
+    }
+    const { moduleName, locale } = req.params;
+    const review = await new TranslationReview().save({
+      jobId: jobId || null,
+      moduleName,
+      locale,
+      edits,
+      statuses,
+    });
+    return res.json({
+      success: true,
+      message: `Saved ${review.saved.length} value(s), ${
+        Object.keys(review.statuses).length
+      } status change(s)`,
+      ...review,
+    });
+  } catch (err) {
+    console.error("Caught error in review save route:", err.message);
+    return res.status(400).json({
+      success: false,
+      message: "Failed to save edits",
+      error: err.message,
+    });
+  }
+});
+
+// ✅ Export a module/locale as XLIFF (?version=1.2|2.0, ?jobId=)
+router.get("/xliff/:moduleName/:locale", async (req, res) => {
+  try {
+    const { moduleName, locale } = req.params;
+    const { xml, fileName } = await new XliffConverter().export({
+      jobId: req.query.jobId || null,
+      moduleName,
+      locale,
+      version: req.query.version || "1.2",
+    });
+    res.set({
+      "Content-Type": "application/xliff+xml; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${fileName}"`,
+    });
+    return res.send(xml);
+  } catch (err) {
+    console.error("Caught error in XLIFF export route:", err.message);
+    return res.status(400).json({
+      success: false,
+      message: "XLIFF export failed",
+      error: err.message,
+    });
+  }
+});
+
+// ✅ Import XLIFF (multipart "file" or body.xml); ?dryRun=1 only reports
+router.post(
+  "/xliff/:moduleName/:locale",
+  upload.single("file"),
+  async (req, res) => {
+    try {
+      const xml = req.file ? req.file.buffer.toString("utf8") : req.body?.xml;
+      if (!xml) {
+        return res.status(400).json({
+          success: false,
+          message: "Provide an XLIFF file (field 'file') or body.xml",
+        });
+      }
+      const { moduleName, locale } = req.params;
+      const dryRun = String(req.query.dryRun || req.body?.dryRun || "");
+      const report = await new XliffConverter().import({
+        jobId: req.query.jobId || req.body?.jobId || null,
+        moduleName,
+        locale,
+        xml,
+        dryRun: dryRun === "1" || dryRun === "true",
+      });
+      return res.json({
+        success: true,
+        message: `${report.accepted.length} unit(s) accepted, ${report.rejected.length} rejected`,
+        ...report,
+      });
+    } catch (err) {
+      console.error("Caught error in XLIFF import route:", err.message);
+      return res.status(400).json({
+        success: false,
+        message: "XLIFF import failed",
+        error: err.message,
+      });
+    }
+  }
+);
+
+// ✅ Export a module's gettext template (POT) from en.json
+router.get("/gettext/:moduleName", async (req, res) => {
+  try {
+    const { text, fileName } = await new GettextConverter().exportPot({
+      moduleName: req.params.moduleName,
+    });
+    res.set({
+      "Content-Type": "text/x-gettext-translation; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${fileName}"`,
+    });
+    return res.send(text);
+  } catch (err) {
+    console.error("Caught error in POT export route:", err.message);
+    return res.status(400).json({
+      success: false,
+      message: "POT export failed",
+      error: err.message,
+    });
+  }
+});
+
+// ✅ Export a module/locale as a PO file (?jobId=)
+router.get("/gettext/:moduleName/:locale", async (req, res) => {
+  try {
+    const { moduleName, locale } = req.params;
+    const { text, fileName } = await new GettextConverter().exportPo({
+      jobId: req.query.jobId || null,
+      moduleName,
+      locale,
+    });
+    res.set({
+      "Content-Type": "text/x-gettext-translation; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${fileName}"`,
+    });
+    return res.send(text);
+  } catch (err) {
+    console.error("Caught error in PO export route:", err.message);
+    return res.status(400).json({
+      success: false,
+      message: "PO export failed",
+      error: err.message,
+    });
+  }
+});
+
+// ✅ Import a PO file (multipart "file" or body.po); ?dryRun=1 only reports
+router.post(
+  "/gettext/:moduleName/:locale",
+  upload.single("file"),
+  async (req, res) => {
+    try {
+      const po = req.file ? req.file.buffer.toString("utf8") : req.body?.po;
+      if (!po) {
+        return res.status(400).json({
+          success: false,
+          message: "Provide a PO file (field 'file') or body.po",
+        });
+      }
+      const { moduleName, locale } = req.params;
+      const dryRun = String(req.query.dryRun || req.body?.dryRun || "");
+      const report = await new GettextConverter().import({
+        jobId: req.query.jobId || req.body?.jobId || null,
+        moduleName,
+        locale,
+        po,
+        dryRun: dryRun === "1" || dryRun === "true",
+      });
+      return res.json({
+        success: true,
+        message: `${report.accepted.length} entr(ies) accepted, ${report.rejected.length} rejected`,
+        ...report,
+      });
+    } catch (err) {
+      console.error("Caught error in PO import route:", err.message);
+      return res.status(400).json({
+        success: false,
+        message: "PO import failed",
+        error: err.message,
+      });
+    }
+  }
+);
+
+// ✅ Export all keys as a spreadsheet (?format=csv|xlsx, ?jobId=, ?modules=a,b, ?locales=x,y)
+router.get("/spreadsheet", async (req, res) => {
+  try {
+    const format = req.query.format || "csv";
+    const { body, fileName } = await new SpreadsheetExchange().export({
+      jobId: req.query.jobId || null,
+      modules: queryList(req.query.modules),
+      locales: queryList(req.query.locales),
+      format,
+    });
+    res.set({
+      "Content-Type":
+        format === "xlsx"
+          ? "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+          : "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${fileName}"`,
+    });
+    return res.send(body);
+  } catch (err) {
+    console.error("Caught error in spreadsheet export route:", err.message);
+    return res.status(400).json({
+      success: false,
+      message: "Spreadsheet export failed",
+      error: err.message,
+    });
+  }
+});
+
+// ✅ Import an edited spreadsheet (multipart "file" or body.csv); ?dryRun=1 only reports
+router.post("/spreadsheet", upload.single("file"), async (req, res) => {
+  try {
+    const file = req.file ? req.file.buffer : req.body?.csv;
+    if (!file) {
+      return res.status(400).json({
+        success: false,
+        message: "Provide a CSV/XLSX file (field 'file') or body.csv",
+      });
+    }
+    const dryRun = String(req.query.dryRun || req.body?.dryRun || "");
+    const report = await new SpreadsheetExchange().import({
+      jobId: req.query.jobId || req.body?.jobId || null,
+      file,
+      dryRun: dryRun === "1" || dryRun === "true",
+    });
+    return res.json({
+      success: true,
+      message: `${report.accepted} cell(s) accepted, ${report.rejected.length} rejected`,
+      ...report,
+    });
+  } catch (err) {
+    console.error("Caught error in spreadsheet import route:", err.message);
+    return res.status(400).json({
+      success: false,
+      message: "Spreadsheet import failed",
+      error: err.message,
+    });
+  }
+});
+
+// ✅ Coverage and staleness of i18n/<module>/<locale>.json (?modules=a,b, ?locales=x,y)
+router.get("/coverage", async (req, res) => {
+  try {
+    const report = await new CoverageReport().build({
+      modules: queryList(req.query.modules),
+      locales: queryList(req.query.locales),
+    });
+    return res.json({
+      success: true,
+      message: "Coverage report built",
+      ...report,
+    });
+  } catch (err) {
+    console.error("Caught error in coverage route:", err.message);
+    return res.status(400).json({
+      success: false,
+      message: "Failed to build coverage report",
+      error: err.message,
+    });
+  }
+});
+
+// ✅ Diff a finished job against the checked-in i18n locale files
+router.get("/jobs/:jobId/promotion", async (req, res) => {
+  try {
+    const diffs = await new TranslationPromoter().diffJob(req.params.jobId);
+    return res.json({
+      success: true,
+      message: "Promotion diff computed",
+      jobId: req.params.jobId,
+      diffs,
+    });
+  } catch (err) {
+    console.error("Caught error in promotion diff route:", err.message);
+    return res.status(400).json({
+      success: false,
+      message: "Failed to diff job",
+      error: err.message,
+    });
+  }
+});
+
+// ✅ Promote accepted job files into i18n/<module>/<locale>.json
+router.post("/jobs/:jobId/promote", async (req, res) => {
+  try {
+    const { accept } = req.body || {};
+    if (accept !== undefined && !Array.isArray(accept)) {
+      return res.status(400).json({
+        success: false,
+        message: 'accept must be an array of "<module>/<locale>" pairs',
+      });
+    }
+    const result = await new TranslationPromoter().promote(req.params.jobId, {
+      accept,
+    });
+    return res.json({
+      success: true,
+      message: `Promoted ${result.promoted.length} file(s)`,
+      ...result,
+    });
+  } catch (err) {
+    console.error("Caught error in promote route:", err.message);
+    return res.status(400).json({
+      success: false,
+      message: "Promotion failed",
+      error: err.message,
+    });
+  }
+});
+
+export default router;
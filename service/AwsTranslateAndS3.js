@@ -4,6 +4,15 @@ import AWS from "aws-sdk";
 
 dotenv.config();
 
+function streamToString(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on("data", (chunk) => chunks.push(chunk));
+    stream.on("error", reject);
+    stream.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+  });
+}
+
 export default class AwsTranslateAndS3 {
   constructor({
     region,
@@ -41,7 +50,7 @@ export default class AwsTranslateAndS3 {
     throw new Error("AwsS3.uploadFile is not available");
   }
 
-  async startBatch({ inputS3Uri, outputS3Uri, targetLang }) {
+  async startBatch({ inputS3Uri, outputS3Uri, targetLang, terminologyNames }) {
     const params = {
       JobName: `i18n-${targetLang}-${Date.now()}`,
       DataAccessRoleArn: this.roleArn,
@@ -49,6 +58,7 @@ export default class AwsTranslateAndS3 {
       OutputDataConfig: { S3Uri: outputS3Uri },
       SourceLanguageCode: this.sourceLang,
       TargetLanguageCodes: [targetLang],
+      ...(terminologyNames?.length && { TerminologyNames: terminologyNames }),
     };
     const resp = await this.translate.startTextTranslationJob(params).promise();
     return { jobId: resp.JobId, jobName: params.JobName };
@@ -110,17 +120,35 @@ export default class AwsTranslateAndS3 {
   }
 
   // Per-string fallback
-  async translateText(text, targetLang) {
+  async translateText(text, targetLang, { terminologyNames } = {}) {
     const resp = await this.translate
       .translateText({
         Text: String(text ?? ""),
         SourceLanguageCode: this.sourceLang,
         TargetLanguageCode: targetLang,
+        ...(terminologyNames?.length && { TerminologyNames: terminologyNames }),
       })
       .promise();
     return resp.TranslatedText;
   }
 
+  // Custom terminology (CSV with a header row of language codes)
+  async importTerminology(name, csv) {
+    const resp = await this.translate
+      .importTerminology({
+        Name: name,
+        MergeStrategy: "OVERWRITE",
+        TerminologyData: { File: Buffer.from(csv, "utf8"), Format: "CSV" },
+      })
+      .promise();
+    return resp.TerminologyProperties;
+  }
+
+  async listTerminologies() {
+    const resp = await this.translate.listTerminologies({}).promise();
+    return resp.TerminologyPropertiesList || [];
+  }
+
   // Cleanup helpers
   async deleteInputObject(bucket, key) {
     return AwsS3 && typeof AwsS3.deleteFile === "function"
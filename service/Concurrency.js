@@ -0,0 +1,83 @@
+const THROTTLE_CODES = new Set([
+  "ThrottlingException",
+  "TooManyRequestsException",
+  "ProvisionedThroughputExceededException",
+  "LimitExceededException",
+  "SlowDown",
+]);
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function isThrottleError(err) {
+  if (!err) return false;
+  return (
+    THROTTLE_CODES.has(err.name) ||
+    THROTTLE_CODES.has(err.code) ||
+    err.statusCode === 429 ||
+    err.$metadata?.httpStatusCode === 429 ||
+    err.retryable === true
+  );
+}
+
+// Runs `worker(item, index)` over items with at most `limit` in flight and
+// resolves to results in input order. Worker errors reject like Promise.all.
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  const size = Math.max(1, Math.min(Number(limit) || 1, items.length || 1));
+  let next = 0;
+  const lanes = Array.from({ length: size }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await worker(items[i], i);
+    }
+  });
+  await Promise.all(lanes);
+  return results;
+}
+
+/**
+ * AdaptiveThrottle - shared delay in front of AWS calls. Every throttling
+ * error doubles the delay (up to maxMs) and retries; every success halves it.
+ */
+class AdaptiveThrottle {
+  constructor({
+    baseMs = 200,
+    maxMs = 20000,
+    maxRetries = 6,
+    onThrottle,
+  } = {}) {
+    this.baseMs = baseMs;
+    this.maxMs = maxMs;
+    this.maxRetries = maxRetries;
+    this.delayMs = 0;
+    this.onThrottle = typeof onThrottle === "function" ? onThrottle : null;
+  }
+
+  async run(fn) {
+    for (let attempt = 0; ; attempt++) {
+      if (this.delayMs) await sleep(this.delayMs);
+      try {
+        const result = await fn();
+        this.delayMs = this.delayMs > this.baseMs ? this.delayMs / 2 : 0;
+        return result;
+      } catch (err) {
+        if (!isThrottleError(err) || attempt >= this.maxRetries) throw err;
+        this.delayMs = Math.min(
+          this.maxMs,
+          Math.max(this.baseMs, this.delayMs * 2)
+        );
+        this.onThrottle
+          ? this.onThrottle({
+              attempt: attempt + 1,
+              delayMs: this.delayMs,
+              err,
+            })
+          : null;
+      }
+    }
+  }
+}
+
+export { mapWithConcurrency, isThrottleError, AdaptiveThrottle, sleep };
@@ -0,0 +1,191 @@
+import path from "path";
+import { logEvent } from "../utils/index.js";
+import LocaleRegistry from "./LocaleRegistry.js";
+import KeyStatus from "./KeyStatus.js";
+import {
+  flattenJson,
+  isTranslatable,
+  hashText,
+  validateKeyAndPlaceholderParity,
+  readJsonSafe,
+  findPreviousJobOutput,
+  scanI18nBaseDirs,
+  scanModulesWithEnglish,
+} from "./I18nHelpers.js";
+
+const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+const percent = (n, total) =>
+  total ? Math.round((n / total) * 1000) / 10 : 100;
+
+/**
+ * Coverage of one locale file against its English source. Parity checks
+ * come from validateKeyAndPlaceholderParity; a key is stale when its status
+ * entry (or, without one, `jobHashes`: source hashes from the latest job
+ * that wrote the same value) was given for a different English text or is
+ * flagged needs_review. Translated keys with neither are untracked: their
+ * age is unknown, so they are not counted as fresh.
+ */
+function localeCoverage({
+  sourceFlat,
+  targetFlat,
+  statuses,
+  jobHashes = {},
+  exists,
+}) {
+  const keys = Object.keys(sourceFlat).filter((k) =>
+    isTranslatable(sourceFlat[k])
+  );
+  const translated = keys.filter(
+    (k) => has(targetFlat, k) && isTranslatable(targetFlat[k])
+  );
+  const { errors } = validateKeyAndPlaceholderParity({
+    sourceFlat,
+    targetFlat,
+  });
+  const byType = Object.fromEntries(errors.map((e) => [e.type, e]));
+  // Missing keys also fail the placeholder/ICU checks; count them once
+  const mismatches = [
+    ...(byType.placeholder_mismatch?.items || []).map((i) => i.key),
+    ...(byType.icu_invalid?.keys || []),
+  ].filter((k, i, all) => has(targetFlat, k) && all.indexOf(k) === i);
+  const stale = [];
+  const untracked = [];
+  for (const key of translated) {
+    const entry = statuses ? statuses.get(key) : null;
+    const sourceHash = entry ? entry.sourceHash : jobHashes[key];
+    if (!entry && !has(jobHashes, key)) untracked.push(key);
+    else if (
+      entry?.status === "needs_review" ||
+      (sourceHash && sourceHash !== hashText(sourceFlat[key]))
+    )
+      stale.push(key);
+  }
+  // Translatable keys without a translation (absent or empty), so that
+  // total = translated + missing
+  const done = new Set(translated);
+  const missing = keys.filter((k) => !done.has(k));
+  const extra = byType.extra_keys?.keys || [];
+  return {
+    exists,
+    total: keys.length,
+    translated: translated.length,
+    coverage: percent(translated.length, keys.length),
+    missing: missing.length,
+    extra: extra.length,
+    placeholderMismatches: mismatches.length,
+    stale: stale.length,
+    untracked: untracked.length,
+    keys: {
+      missing,
+      extra,
+      placeholderMismatches: mismatches,
+      stale,
+      untracked,
+    },
+  };
+}
+
+/**
+ * CoverageReport - per module and target locale of i18n/<module>/, how many
+ * keys are translated, missing, extra, placeholder-mismatched or stale.
+ */
+export default class CoverageReport {
+  constructor(opts = {}) {
+    this.i18nBasePref = process.env.I18N_BASE_DIR || opts.i18nBaseDir || null;
+    this.outputRoot =
+      process.env.TRANSLATION_OUTPUT_ROOT ||
+      opts.outputRoot ||
+      path.join("translations", "jobs");
+    this.locales = opts.localeRegistry || LocaleRegistry.load();
+  }
+
+  // Source hashes of the latest job's output for keys whose value is still
+  // the one in i18n (keys edited since then stay untracked)
+  async _jobHashes(moduleName, locale, targetFlat) {
+    const prev = await findPreviousJobOutput({
+      outputRoot: this.outputRoot,
+      moduleName,
+      localeCode: locale,
+    });
+    if (!prev) return {};
+    return Object.fromEntries(
+      Object.entries(prev.hashes).filter(
+        ([key]) => has(targetFlat, key) && prev.flat[key] === targetFlat[key]
+      )
+    );
+  }
+
+  // `locales` defaults to the enabled targets; `modules` to every module
+  async build({ modules, locales } = {}) {
+    const targets = locales?.length
+      ? locales
+      : this.locales.enabledTargets().map((t) => t.folderCode);
+    const unknown = targets.filter((l) => !this.locales.get(l));
+    if (unknown.length) {
+      throw new Error(`Unknown target locale(s): ${unknown.join(", ")}`);
+    }
+    const source = this.locales.source.folderCode;
+    const rows = [];
+    for (const base of await scanI18nBaseDirs(this.i18nBasePref)) {
+      for (const m of await scanModulesWithEnglish(base)) {
+        if (modules?.length && !modules.includes(m.moduleName)) continue;
+        const sourceData = await readJsonSafe(
+          path.join(m.moduleDir, `${source}.json`)
+        );
+        if (!sourceData) continue;
+        const sourceFlat = flattenJson(sourceData);
+        const byLocale = {};
+        for (const locale of targets) {
+          const file = path.join(m.moduleDir, `${locale}.json`);
+          const target = await readJsonSafe(file);
+          const targetFlat = target ? flattenJson(target) : {};
+          byLocale[locale] = localeCoverage({
+            sourceFlat,
+            targetFlat,
+            statuses: target ? await KeyStatus.load(file) : null,
+            jobHashes: target
+              ? await this._jobHashes(m.moduleName, locale, targetFlat)
+              : {},
+            exists: !!target,
+          });
+        }
+        rows.push({
+          moduleName: m.moduleName,
+          baseDir: path.basename(base),
+          locales: byLocale,
+        });
+      }
+    }
+
+    const totals = {};
+    for (const locale of targets) {
+      const sum = (field) =>
+        rows.reduce((n, r) => n + r.locales[locale][field], 0);
+      totals[locale] = {
+        modules: rows.length,
+        missingFiles: rows.filter((r) => !r.locales[locale].exists).length,
+        total: sum("total"),
+        translated: sum("translated"),
+        coverage: percent(sum("translated"), sum("total")),
+        missing: sum("missing"),
+        extra: sum("extra"),
+        placeholderMismatches: sum("placeholderMismatches"),
+        stale: sum("stale"),
+        untracked: sum("untracked"),
+      };
+    }
+    logEvent("tr_coverage", "coverage", "Coverage report built", {
+      modules: rows.length,
+      locales: targets,
+    });
+    return {
+      generatedAt: new Date().toISOString(),
+      source,
+      locales: targets,
+      modules: rows,
+      totals,
+    };
+  }
+}
+
+export { localeCoverage };
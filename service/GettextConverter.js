@@ -0,0 +1,304 @@
+import path from "path";
+import { logEvent } from "../utils/index.js";
+import TranslationReview from "./TranslationReview.js";
+import {
+  flattenJson,
+  isTranslatable,
+  extractPlaceholders,
+  readJsonSafe,
+} from "./I18nHelpers.js";
+
+const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+const normLang = (code) =>
+  String(code || "")
+    .replace(/_/g, "-")
+    .toLowerCase();
+const ESCAPES = { n: "\n", t: "\t", r: "\r", '"': '"', "\\": "\\" };
+
+function escapePo(str) {
+  return String(str ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\t/g, "\\t")
+    .replace(/\r/g, "\\r")
+    .replace(/\n/g, "\\n");
+}
+
+function unescapePo(str) {
+  return str.replace(/\\(.)/g, (m, c) => (has(ESCAPES, c) ? ESCAPES[c] : c));
+}
+
+// `keyword "text"`; multi-line text is split after each \n the way
+// msgmerge does, starting with an empty string
+function poString(keyword, text) {
+  const str = String(text ?? "");
+  if (!str.includes("\n") || str.indexOf("\n") === str.length - 1) {
+    return [`${keyword} "${escapePo(str)}"`];
+  }
+  const parts = str.split(/(?<=\n)/);
+  return [`${keyword} ""`, ...parts.map((p) => `"${escapePo(p)}"`)];
+}
+
+function entryLines(unit, { template, reference }) {
+  const lines = [];
+  for (const line of String(unit.comment || "").split("\n"))
+    line ? lines.push(`# ${line}`) : null;
+  const ph = [...extractPlaceholders(unit.source)];
+  ph.length ? lines.push(`#. Keep placeholders: {${ph.join("}, {")}}`) : null;
+  if (!template) {
+    unit.status ? lines.push(`#. Status: ${unit.status}`) : null;
+    unit.previous !== null && unit.previous !== undefined
+      ? lines.push(
+          ...`Previous translation: ${unit.previous}`
+            .split("\n")
+            .map((l) => `#. ${l}`)
+        )
+      : null;
+  }
+  reference ? lines.push(`#: ${reference}`) : null;
+  !template && unit.status === "needs_review" ? lines.push("#, fuzzy") : null;
+  lines.push(
+    ...poString("msgctxt", unit.key),
+    ...poString("msgid", unit.source),
+    ...poString("msgstr", template ? "" : unit.target)
+  );
+  return lines;
+}
+
+/**
+ * Serialize units ({ key, source, target, status, previous, comment }) to a
+ * PO file, or a POT template when `template` is set. The flattened key is
+ * the msgctxt so identical English strings stay separate entries; keys in
+ * "needs_review" are marked fuzzy, machine translations are not.
+ */
+function buildPo(
+  units,
+  { project, language = "", template = false, reference }
+) {
+  const headers = [
+    `Project-Id-Version: ${project}`,
+    `Language: ${template ? "" : language}`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=UTF-8",
+    "Content-Transfer-Encoding: 8bit",
+  ];
+  const lines = [
+    `# ${template ? "Template" : "Translation"} for ${project}`,
+    'msgid ""',
+    'msgstr ""',
+    ...headers.map((h) => `"${escapePo(h)}\\n"`),
+  ];
+  for (const unit of units)
+    lines.push("", ...entryLines(unit, { template, reference }));
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Parse a PO/POT file into { headers, units }, units being { key, source,
+ * target, fuzzy, comment, plural }. The key is the msgctxt (the msgid when
+ * an entry has none); empty msgstr means untranslated (target null).
+ * Obsolete (#~) entries are dropped.
+ */
+function parsePo(text) {
+  const entries = [];
+  let entry = null;
+  let field = null;
+  const fresh = () => ({ comments: [], flags: [], fields: {} });
+  const finish = () => {
+    entry && Object.keys(entry.fields).length ? entries.push(entry) : null;
+    entry = null;
+    field = null;
+  };
+
+  String(text || "")
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .forEach((raw, i) => {
+      const line = raw.trim();
+      if (!line) return finish();
+      if (line.startsWith("#~")) {
+        entry = entry || fresh();
+        entry.obsolete = true;
+        return;
+      }
+      if (line.startsWith("#")) {
+        // A comment after msgstr starts the next entry
+        entry && has(entry.fields, "msgstr") ? finish() : null;
+        entry = entry || fresh();
+        if (line.startsWith("#,")) {
+          entry.flags.push(
+            ...line
+              .slice(2)
+              .split(",")
+              .map((f) => f.trim())
+              .filter(Boolean)
+          );
+        } else if (line === "#" || line.startsWith("# ")) {
+          entry.comments.push(line.slice(2));
+        }
+        return;
+      }
+      const m = line.match(
+        /^(msgctxt|msgid_plural|msgid|msgstr(?:\[\d+\])?)\s+"(.*)"$/
+      );
+      if (m) {
+        const keyword = m[1].replace(/\[\d+\]$/, (n) => (n === "[0]" ? "" : n));
+        // msgctxt/msgid after a msgstr starts the next entry
+        (m[1] === "msgctxt" || m[1] === "msgid") &&
+        entry &&
+        has(entry.fields, "msgstr")
+          ? finish()
+          : null;
+        entry = entry || fresh();
+        field = keyword;
+        entry.fields[field] = unescapePo(m[2]);
+        m[1] === "msgid_plural" ? (entry.plural = true) : null;
+        return;
+      }
+      const cont = line.match(/^"(.*)"$/);
+      if (cont && entry && field) {
+        entry.fields[field] += unescapePo(cont[1]);
+        return;
+      }
+      throw new Error(`Invalid PO syntax at line ${i + 1}: ${line}`);
+    });
+  finish();
+
+  const headers = {};
+  const units = [];
+  for (const e of entries) {
+    if (e.obsolete) continue;
+    const { msgctxt, msgid = "", msgstr = "" } = e.fields;
+    if (msgctxt === undefined && msgid === "") {
+      for (const h of msgstr.split("\n")) {
+        const idx = h.indexOf(":");
+        idx > 0
+          ? (headers[h.slice(0, idx).trim()] = h.slice(idx + 1).trim())
+          : null;
+      }
+      continue;
+    }
+    units.push({
+      key: msgctxt ?? msgid,
+      source: msgid,
+      target: msgstr === "" ? null : msgstr,
+      fuzzy: e.flags.includes("fuzzy"),
+      comment: e.comments.join("\n"),
+      plural: !!e.plural,
+    });
+  }
+  return { headers, units };
+}
+
+/**
+ * GettextConverter - exchanges modules with gettext tooling: a POT template
+ * from en.json, a PO file per locale (job output or i18n, with key statuses
+ * as fuzzy flags) and PO import back into JSON through TranslationReview.
+ */
+export default class GettextConverter {
+  constructor(opts = {}) {
+    this.review = opts.review || new TranslationReview(opts);
+  }
+
+  async exportPot({ moduleName }) {
+    if (!/^[\w-]+$/.test(String(moduleName || ""))) {
+      throw new Error(`Invalid module: ${moduleName}`);
+    }
+    const source = this.review.promoter.locales.source.folderCode;
+    const sourceFile = path.join(
+      await this.review.promoter.i18nModuleDir(moduleName),
+      `${source}.json`
+    );
+    const data = await readJsonSafe(sourceFile);
+    if (!data) throw new Error(`Source file not found: ${sourceFile}`);
+    const units = Object.entries(flattenJson(data))
+      .filter(([, text]) => isTranslatable(text))
+      .map(([key, text]) => ({ key, source: text }));
+    const text = buildPo(units, {
+      project: moduleName,
+      template: true,
+      reference: `${moduleName}/${source}.json`,
+    });
+    logEvent("tr_gettext_export", "gettext", `Exported ${moduleName}.pot`, {
+      units: units.length,
+    });
+    return { text, fileName: `${moduleName}.pot`, units: units.length };
+  }
+
+  async exportPo({ jobId = null, moduleName, locale }) {
+    const data = await this.review.load({ jobId, moduleName, locale });
+    const units = data.rows.filter((r) => r.editable);
+    const text = buildPo(units, {
+      project: moduleName,
+      language: this.review.languages(locale).targetLang,
+      reference: `${moduleName}/${this.review.promoter.locales.source.folderCode}.json`,
+    });
+    logEvent(
+      "tr_gettext_export",
+      "gettext",
+      `Exported ${moduleName}/${locale}.po`,
+      { jobId, units: units.length }
+    );
+    return {
+      text,
+      fileName: `${moduleName}.${locale}.po`,
+      units: units.length,
+    };
+  }
+
+  /**
+   * Import a PO file. Fuzzy entries become "needs_review"; clearing the
+   * fuzzy flag or editing the text makes a key "reviewed"; translator
+   * comments are kept in the key status. Untranslated entries are skipped
+   * and plural entries rejected, since JSON keys hold a single string.
+   */
+  async import({ jobId = null, moduleName, locale, po, dryRun = false }) {
+    const { headers, units } = parsePo(po);
+    const { targetLang } = this.review.languages(locale);
+    const language = headers.Language;
+    if (
+      language &&
+      ![targetLang, locale].map(normLang).includes(normLang(language))
+    ) {
+      throw new Error(
+        `PO language ${language} does not match ${locale} (${targetLang})`
+      );
+    }
+
+    const plural = units.filter((u) => u.plural);
+    const untranslated = units
+      .filter((u) => !u.plural && u.target === null)
+      .map((u) => u.key);
+    const report = await this.review.importUnits({
+      jobId,
+      moduleName,
+      locale,
+      units: units.filter((u) => !u.plural && u.target !== null),
+      dryRun,
+      statusFor: (unit, row, edited) =>
+        unit.fuzzy
+          ? "needs_review"
+          : edited || row.status === "needs_review"
+          ? "reviewed"
+          : null,
+    });
+    report.units = units.length;
+    report.untranslated = untranslated;
+    report.rejected.push(
+      ...plural.map((u) => ({ key: u.key, reason: "plural_forms" }))
+    );
+    const { accepted, rejected } = report;
+    logEvent(
+      "tr_gettext_import",
+      "gettext",
+      `${dryRun ? "Checked" : "Imported"} ${moduleName}/${locale}: ${
+        accepted.length
+      } accepted, ${rejected.length} rejected`,
+      { jobId, rejected, untranslated: untranslated.length },
+      rejected.length > 0
+    );
+    return report;
+  }
+}
+
+export { buildPo, parsePo };
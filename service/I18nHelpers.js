@@ -0,0 +1,240 @@
+import path from "path";
+import crypto from "crypto";
+import fsp from "fs/promises";
+import {
+  parse as parseIcu,
+  argumentNames,
+  isComplexMessage,
+} from "./IcuMessage.js";
+
+const PLACEHOLDER_REGEX = /\{([^}]+)\}/g;
+
+// Flat keys use "." between object keys and "[n]" for array indices
+// (e.g. "faq.items[0].title"), so unflattenJson can rebuild arrays. Every
+// leaf is kept, strings or not; empty objects/arrays are stored as leaves so
+// unflattenJson(flattenJson(x)) deep-equals x.
+function flattenJson(obj, prefix = "", out = {}) {
+  if (obj == null || typeof obj !== "object") return out;
+  const isArr = Array.isArray(obj);
+  for (const [k, v] of Object.entries(obj)) {
+    const key = isArr ? `${prefix}[${k}]` : prefix ? `${prefix}.${k}` : k;
+    const nested = v != null && typeof v === "object";
+    if (nested && Object.keys(v).length) {
+      flattenJson(v, key, out);
+    } else {
+      out[key] = nested ? (Array.isArray(v) ? [] : {}) : v;
+    }
+  }
+  return out;
+}
+function parseFlatKey(key) {
+  const parts = [];
+  for (const seg of key.split(".")) {
+    const m = /^(.*?)((?:\[\d+\])*)$/.exec(seg);
+    m[1] || !m[2] ? parts.push(m[1]) : null;
+    for (const idx of m[2].match(/\d+/g) || []) parts.push(Number(idx));
+  }
+  return parts;
+}
+function unflattenJson(flat) {
+  // A top-level array flattens to "[0]", "[1]", ... keys
+  const first = Object.keys(flat)[0];
+  const root =
+    first !== undefined && typeof parseFlatKey(first)[0] === "number" ? [] : {};
+  for (const [k, v] of Object.entries(flat)) {
+    const parts = parseFlatKey(k);
+    let cur = root;
+    for (let i = 0; i < parts.length; i++) {
+      const part = parts[i];
+      const isLeaf = i === parts.length - 1;
+      if (!Object.prototype.hasOwnProperty.call(cur, part)) {
+        cur[part] = isLeaf ? v : typeof parts[i + 1] === "number" ? [] : {};
+      } else if (isLeaf) {
+        cur[part] = v;
+      }
+      cur = cur[part];
+    }
+  }
+  return root;
+}
+// Only non-empty strings are sent for translation; other leaves are copied
+function isTranslatable(val) {
+  return typeof val === "string" && val.length > 0;
+}
+function hashText(str) {
+  return crypto
+    .createHash("sha256")
+    .update(String(str ?? ""), "utf8")
+    .digest("hex");
+}
+function hashFlat(flat) {
+  const out = {};
+  for (const [k, v] of Object.entries(flat)) out[k] = hashText(v);
+  return out;
+}
+function extractPlaceholders(str) {
+  if (typeof str !== "string") return new Set();
+  // ICU messages: argument names (plural/select bodies are not placeholders)
+  if (str.includes("{")) {
+    try {
+      return argumentNames(parseIcu(str));
+    } catch {
+      // not valid ICU; fall through to the plain {name} scan
+    }
+  }
+  const set = new Set();
+  let m;
+  while ((m = PLACEHOLDER_REGEX.exec(str))) set.add(m[1]);
+  return set;
+}
+function validateKeyAndPlaceholderParity({ sourceFlat, targetFlat }) {
+  const errors = [];
+  const missing = [];
+  const extra = [];
+  for (const key of Object.keys(sourceFlat))
+    Object.prototype.hasOwnProperty.call(targetFlat, key)
+      ? null
+      : missing.push(key);
+  for (const key of Object.keys(targetFlat))
+    Object.prototype.hasOwnProperty.call(sourceFlat, key)
+      ? null
+      : extra.push(key);
+  const placeholderDiffs = [];
+  for (const key of Object.keys(sourceFlat)) {
+    const srcPH = extractPlaceholders(sourceFlat[key]);
+    const tgtPH = extractPlaceholders(targetFlat[key]);
+    const missingPH = [...srcPH].filter((p) => !tgtPH.has(p));
+    const extraPH = [...tgtPH].filter((p) => !srcPH.has(p));
+    missingPH.length || extraPH.length
+      ? placeholderDiffs.push({ key, missingPH, extraPH })
+      : null;
+  }
+  const icuInvalid = [];
+  for (const key of Object.keys(sourceFlat)) {
+    if (!isComplexMessage(sourceFlat[key])) continue;
+    isComplexMessage(targetFlat[key]) ? null : icuInvalid.push(key);
+  }
+  missing.length ? errors.push({ type: "missing_keys", keys: missing }) : null;
+  extra.length ? errors.push({ type: "extra_keys", keys: extra }) : null;
+  placeholderDiffs.length
+    ? errors.push({ type: "placeholder_mismatch", items: placeholderDiffs })
+    : null;
+  icuInvalid.length
+    ? errors.push({ type: "icu_invalid", keys: icuInvalid })
+    : null;
+  return { ok: errors.length === 0, errors };
+}
+
+async function pathExists(p) {
+  try {
+    await fsp.access(p);
+    return true;
+  } catch {
+    return false;
+  }
+}
+async function ensureDir(p) {
+  (await pathExists(p)) ? null : await fsp.mkdir(p, { recursive: true });
+}
+async function readJsonSafe(file) {
+  const ok = await pathExists(file);
+  if (!ok) return null;
+  const raw = await fsp.readFile(file, "utf8");
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+async function writeJsonPretty(file, data) {
+  await ensureDir(path.dirname(file));
+  const content = JSON.stringify(data, null, 2);
+  await fsp.writeFile(file, content, "utf8");
+}
+// Only jobs whose manifest names the same provider (any provider when
+// omitted) count; pseudo jobs and jobs without a manifest are skipped
+async function findPreviousJobOutput({
+  outputRoot,
+  currentFolder,
+  moduleName,
+  localeCode,
+  provider,
+}) {
+  if (!(await pathExists(outputRoot))) return null;
+  const entries = await fsp.readdir(outputRoot, { withFileTypes: true });
+  // job folders are timestamped, so a reverse name sort is newest first
+  const folders = entries
+    .filter((e) => e.isDirectory() && e.name !== currentFolder)
+    .map((e) => e.name)
+    .sort()
+    .reverse();
+  for (const folder of folders) {
+    const manifest = await readJsonSafe(
+      path.join(outputRoot, folder, "manifest.json")
+    );
+    if (
+      !manifest ||
+      manifest.pseudo ||
+      (provider && manifest.provider !== provider)
+    )
+      continue;
+    const dir = path.join(outputRoot, folder, moduleName);
+    const flat = await readJsonSafe(path.join(dir, `${localeCode}.json`));
+    const hashes = await readJsonSafe(
+      path.join(dir, `${localeCode}.hashes.json`)
+    );
+    if (flat && hashes) return { folder, flat: flattenJson(flat), hashes };
+  }
+  return null;
+}
+async function scanI18nBaseDirs(explicitBaseDir) {
+  const candidates = [];
+  explicitBaseDir ? candidates.push(explicitBaseDir) : null;
+  candidates.push(path.join(process.cwd(), "i18n"));
+  candidates.push(path.join(process.cwd(), "18n"));
+  const existing = [];
+  for (const d of candidates) (await pathExists(d)) ? existing.push(d) : null;
+  return [...new Set(existing)];
+}
+async function scanModulesWithEnglish(baseDir) {
+  const results = [];
+  const entries = await fsp.readdir(baseDir, { withFileTypes: true });
+  for (const ent of entries) {
+    if (!ent.isDirectory()) continue;
+    const moduleDir = path.join(baseDir, ent.name);
+    const enFile = path.join(moduleDir, "en.json");
+    (await pathExists(enFile))
+      ? results.push({
+          baseDir,
+          moduleName: ent.name,
+          moduleDir,
+          sourceFile: enFile,
+        })
+      : null;
+  }
+  return results;
+}
+async function writeJsonAtomic(file, data) {
+  await ensureDir(path.dirname(file));
+  const tmp = `${file}.tmp-${process.pid}-${Date.now()}`;
+  await fsp.writeFile(tmp, JSON.stringify(data, null, 2), "utf8");
+  await fsp.rename(tmp, file);
+}
+
+export {
+  flattenJson,
+  unflattenJson,
+  isTranslatable,
+  hashText,
+  hashFlat,
+  extractPlaceholders,
+  validateKeyAndPlaceholderParity,
+  pathExists,
+  ensureDir,
+  readJsonSafe,
+  writeJsonPretty,
+  writeJsonAtomic,
+  findPreviousJobOutput,
+  scanI18nBaseDirs,
+  scanModulesWithEnglish,
+};
@@ -0,0 +1,275 @@
+// Minimal ICU MessageFormat support for the translation pipeline: parse /
+// print (literal text and simple arguments are kept verbatim),
+// CLDR plural expansion per target locale, and splitting a message into
+// translatable units that can be reassembled after machine translation.
+const COMPLEX_TYPES = new Set(["plural", "selectordinal", "select"]);
+const NAME_REGEX = /^[\p{L}\p{N}_$-]+$/u;
+const UNIT_REF_REGEX = /\{§(\d+)\}/g;
+const UNIT_POUND = "{#}";
+
+function icuError(message, pos) {
+  const err = new Error(`ICU syntax error at ${pos}: ${message}`);
+  err.name = "IcuSyntaxError";
+  return err;
+}
+
+function parseMessage(str, state, inPlural, depth) {
+  const nodes = [];
+  let literal = "";
+  const flush = () => {
+    literal ? nodes.push({ type: "literal", value: literal }) : null;
+    literal = "";
+  };
+  while (state.pos < str.length) {
+    const ch = str[state.pos];
+    const next = str[state.pos + 1];
+    if (ch === "'") {
+      if (next === "'") {
+        literal += "''";
+        state.pos += 2;
+      } else if (next === "{" || next === "}" || (next === "#" && inPlural)) {
+        const close = str.indexOf("'", state.pos + 1);
+        if (close < 0) throw icuError("unterminated quote", state.pos);
+        literal += str.slice(state.pos, close + 1);
+        state.pos = close + 1;
+      } else {
+        literal += ch;
+        state.pos += 1;
+      }
+    } else if (ch === "{") {
+      flush();
+      nodes.push(parseArgument(str, state, inPlural, depth));
+    } else if (ch === "}") {
+      if (depth === 0) throw icuError("unbalanced '}'", state.pos);
+      break;
+    } else if (ch === "#" && inPlural) {
+      flush();
+      nodes.push({ type: "pound" });
+      state.pos += 1;
+    } else {
+      literal += ch;
+      state.pos += 1;
+    }
+  }
+  flush();
+  return nodes;
+}
+
+function readUntil(str, state, stops) {
+  const start = state.pos;
+  while (state.pos < str.length && !stops.includes(str[state.pos]))
+    state.pos += 1;
+  if (state.pos >= str.length) throw icuError("unclosed argument", start);
+  return str.slice(start, state.pos);
+}
+
+function skipWs(str, state) {
+  while (/\s/.test(str[state.pos] || "")) state.pos += 1;
+}
+
+function parseArgument(str, state, inPlural, depth) {
+  const start = state.pos;
+  state.pos += 1; // "{"
+  const name = readUntil(str, state, ",}").trim();
+  if (!NAME_REGEX.test(name)) throw icuError(`bad argument "${name}"`, start);
+  if (str[state.pos] === "}") {
+    state.pos += 1;
+    return { type: "argument", name, raw: str.slice(start, state.pos) };
+  }
+  state.pos += 1; // ","
+  const type = readUntil(str, state, ",}").trim();
+  if (!COMPLEX_TYPES.has(type)) {
+    // {n, number} / {d, date, short}: styles are kept verbatim
+    if (str[state.pos] === ",") readUntil(str, state, "}");
+    state.pos += 1;
+    return { type: "argument", name, raw: str.slice(start, state.pos) };
+  }
+  if (str[state.pos] !== ",") throw icuError(`${type} needs options`, start);
+  state.pos += 1;
+  skipWs(str, state);
+  let offset = 0;
+  if (type !== "select" && str.startsWith("offset:", state.pos)) {
+    state.pos += "offset:".length;
+    const m = /^\s*(\d+)/.exec(str.slice(state.pos));
+    if (!m) throw icuError("bad offset", state.pos);
+    offset = Number(m[1]);
+    state.pos += m[0].length;
+  }
+  const options = [];
+  for (;;) {
+    skipWs(str, state);
+    if (str[state.pos] === "}") break;
+    const selStart = state.pos;
+    while (state.pos < str.length && !/[\s{}]/.test(str[state.pos]))
+      state.pos += 1;
+    const selector = str.slice(selStart, state.pos);
+    skipWs(str, state);
+    if (!selector || str[state.pos] !== "{")
+      throw icuError(`bad ${type} option`, selStart);
+    state.pos += 1;
+    const message = parseMessage(
+      str,
+      state,
+      type === "select" ? inPlural : true,
+      depth + 1
+    );
+    if (str[state.pos] !== "}") throw icuError("unclosed option", selStart);
+    state.pos += 1;
+    options.push({ selector, message });
+  }
+  state.pos += 1; // closing "}"
+  if (!options.some((o) => o.selector === "other"))
+    throw icuError(`${type} "${name}" has no "other" option`, start);
+  return { type, name, offset, options };
+}
+
+function parse(str) {
+  const state = { pos: 0 };
+  const nodes = parseMessage(String(str ?? ""), state, false, 0);
+  return nodes;
+}
+
+function printComplex(node, printOption) {
+  const offset = node.offset ? ` offset:${node.offset}` : "";
+  const opts = node.options
+    .map((o) => `${o.selector} {${printOption(o)}}`)
+    .join(" ");
+  return `{${node.name}, ${node.type},${offset} ${opts}}`;
+}
+
+function print(nodes) {
+  return nodes
+    .map((n) => {
+      if (n.type === "literal") return n.value;
+      if (n.type === "argument") return n.raw;
+      if (n.type === "pound") return "#";
+      return printComplex(n, (o) => print(o.message));
+    })
+    .join("");
+}
+
+function hasComplex(nodes) {
+  return nodes.some((n) => COMPLEX_TYPES.has(n.type));
+}
+
+// True only for valid ICU messages containing plural/select/selectordinal
+function isComplexMessage(str) {
+  if (typeof str !== "string" || !str.includes("{")) return false;
+  try {
+    return hasComplex(parse(str));
+  } catch {
+    return false;
+  }
+}
+
+function argumentNames(nodes, out = new Set()) {
+  for (const n of nodes) {
+    if (n.type === "argument") out.add(n.name);
+    if (COMPLEX_TYPES.has(n.type)) {
+      out.add(n.name);
+      for (const o of n.options) argumentNames(o.message, out);
+    }
+  }
+  return out;
+}
+
+function pluralCategories(locale, type = "cardinal") {
+  try {
+    return new Intl.PluralRules(locale, { type }).resolvedOptions()
+      .pluralCategories;
+  } catch {
+    return ["other"];
+  }
+}
+
+/**
+ * Rewrite plural/selectordinal options to the categories CLDR requires for
+ * `locale`: exact matches (=0) are kept, missing categories are seeded from
+ * "other", and categories the locale does not use are dropped.
+ */
+function expandForLocale(nodes, locale) {
+  return nodes.map((n) => {
+    if (!COMPLEX_TYPES.has(n.type)) return n;
+    const options = n.options.map((o) => ({
+      selector: o.selector,
+      message: expandForLocale(o.message, locale),
+    }));
+    if (n.type === "select") return { ...n, options };
+    const required = pluralCategories(
+      locale,
+      n.type === "selectordinal" ? "ordinal" : "cardinal"
+    );
+    const bySelector = Object.fromEntries(options.map((o) => [o.selector, o]));
+    const exact = options.filter((o) => o.selector.startsWith("="));
+    const keyed = required
+      .filter((c) => c !== "other")
+      .map(
+        (c) =>
+          bySelector[c] || { selector: c, message: bySelector.other.message }
+      );
+    return { ...n, options: [...exact, ...keyed, bySelector.other] };
+  });
+}
+
+/**
+ * Split a parsed message into translatable units. Each unit is one
+ * (sub-)message with nested plural/select arguments replaced by `{§n}` and
+ * `#` by `{#}`, so placeholder masking protects them. Returns the units plus
+ * a shape for `assembleUnits`.
+ */
+function splitUnits(nodes, id = "0", units = []) {
+  let text = "";
+  const refs = [];
+  for (const n of nodes) {
+    if (n.type === "literal") text += n.value;
+    else if (n.type === "argument") text += n.raw;
+    else if (n.type === "pound") text += UNIT_POUND;
+    else {
+      const ref = refs.length;
+      refs.push({
+        ...n,
+        options: n.options.map((o, j) => ({
+          selector: o.selector,
+          shape: splitUnits(o.message, `${id}.${ref}.${j}`, units).shape,
+        })),
+      });
+      text += `{§${ref}}`;
+    }
+  }
+  units.push({ id, text });
+  return { units, shape: { id, refs } };
+}
+
+// False for units made only of `{§n}`, `{#}` and argument references (the
+// top level of a pure plural/select, an empty `=0 {}` branch): there is
+// nothing to translate, so they are reused as they are
+function unitHasText(text) {
+  return text.replace(/\{[^{}]*\}/g, "").trim() !== "";
+}
+
+// translations: { [unitId]: text }; missing units fall back to `fallback`
+function assembleUnits(shape, translations, fallback = {}) {
+  const text = translations[shape.id] ?? fallback[shape.id] ?? "";
+  return text
+    .replace(UNIT_REF_REGEX, (m, i) =>
+      shape.refs[Number(i)]
+        ? printComplex(shape.refs[Number(i)], (o) =>
+            assembleUnits(o.shape, translations, fallback)
+          )
+        : m
+    )
+    .split(UNIT_POUND)
+    .join("#");
+}
+
+export {
+  parse,
+  print,
+  isComplexMessage,
+  argumentNames,
+  pluralCategories,
+  expandForLocale,
+  splitUnits,
+  unitHasText,
+  assembleUnits,
+};
@@ -0,0 +1,100 @@
+import path from "path";
+import { readJsonSafe, writeJsonAtomic } from "./I18nHelpers.js";
+
+const MANIFEST_FILE = "manifest.json";
+
+/**
+ * JobManifest - <jobDir>/manifest.json describing every module × locale pair
+ * of a job (status, AWS batch job, S3 keys, errors) so a job can be resumed.
+ * Writes are serialized so concurrent updates never interleave.
+ */
+export default class JobManifest {
+  constructor(jobDir, data) {
+    this.jobDir = jobDir;
+    this.file = path.join(jobDir, MANIFEST_FILE);
+    this.data = data;
+    this._writing = Promise.resolve();
+  }
+
+  static pairId(moduleName, localeCode) {
+    return `${moduleName}/${localeCode}`;
+  }
+
+  static async read(jobDir) {
+    return readJsonSafe(path.join(jobDir, MANIFEST_FILE));
+  }
+
+  // `provider` and `pseudo` tell later jobs whether this output may be
+  // carried over (see findPreviousJobOutput)
+  static async open(jobDir, { jobId, source, targets, provider, pseudo }) {
+    const existing = await JobManifest.read(jobDir);
+    const now = new Date().toISOString();
+    const manifest = new JobManifest(
+      jobDir,
+      existing || {
+        jobId,
+        createdAt: now,
+        updatedAt: now,
+        status: "pending",
+        source,
+        targets,
+        provider,
+        pseudo: !!pseudo,
+        pairs: {},
+      }
+    );
+    await manifest.save();
+    return manifest;
+  }
+
+  get pairs() {
+    return this.data.pairs;
+  }
+
+  getPair(id) {
+    return this.data.pairs[id] || null;
+  }
+
+  async registerPair(id, info) {
+    if (!this.data.pairs[id]) {
+      this.data.pairs[id] = { ...info, status: "pending", error: null };
+    }
+    return this.save();
+  }
+
+  async updatePair(id, patch) {
+    this.data.pairs[id] = {
+      ...(this.data.pairs[id] || {}),
+      ...patch,
+      updatedAt: new Date().toISOString(),
+    };
+    return this.save();
+  }
+
+  async setStatus(status, extra = {}) {
+    Object.assign(this.data, extra, { status });
+    return this.save();
+  }
+
+  // Pair counts by status, e.g. { completed: 8, failed: 1 }
+  static summarize(pairs = {}) {
+    const counts = {};
+    for (const p of Object.values(pairs))
+      counts[p.status] = (counts[p.status] || 0) + 1;
+    return counts;
+  }
+
+  summary() {
+    return JobManifest.summarize(this.data.pairs);
+  }
+
+  async save() {
+    this._writing = this._writing
+      .catch(() => {})
+      .then(() => {
+        this.data.updatedAt = new Date().toISOString();
+        return writeJsonAtomic(this.file, this.data);
+      });
+    return this._writing;
+  }
+}
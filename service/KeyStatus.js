@@ -0,0 +1,72 @@
+import { readJsonSafe, writeJsonAtomic } from "./I18nHelpers.js";
+
+const STATUSES = ["machine", "reviewed", "approved", "locked", "needs_review"];
+// Keys the runner must not overwrite while their English source is unchanged
+const PROTECTED = new Set(["approved", "locked"]);
+
+/**
+ * KeyStatus - per-key review status of one locale file, kept next to it as
+ * <locale>.status.json: { [flattenedKey]: { status, sourceHash, updatedAt,
+ * comment? } }. `sourceHash` is the hash of the English text the status was
+ * given for, so a changed source can be detected later; a translator comment
+ * survives status changes.
+ */
+export default class KeyStatus {
+  static STATUSES = STATUSES;
+
+  constructor(localeFile, entries = {}) {
+    this.localeFile = localeFile;
+    this.file = KeyStatus.fileFor(localeFile);
+    this.entries = entries;
+  }
+
+  static fileFor(localeFile) {
+    return localeFile.replace(/\.json$/, ".status.json");
+  }
+
+  static async load(localeFile) {
+    const entries = await readJsonSafe(KeyStatus.fileFor(localeFile));
+    return new KeyStatus(localeFile, entries || {});
+  }
+
+  static isProtected(entry) {
+    return !!entry && PROTECTED.has(entry.status);
+  }
+
+  get(key) {
+    return Object.prototype.hasOwnProperty.call(this.entries, key)
+      ? this.entries[key]
+      : null;
+  }
+
+  set(key, status, extra = {}) {
+    if (!STATUSES.includes(status)) {
+      throw new Error(
+        `Invalid status "${status}" for ${key}; expected one of ${STATUSES.join(
+          ", "
+        )}`
+      );
+    }
+    const { comment } = this.get(key) || {};
+    this.entries[key] = {
+      ...(comment ? { comment } : {}),
+      ...extra,
+      status,
+      updatedAt: new Date().toISOString(),
+    };
+    return this.entries[key];
+  }
+
+  // Set or clear (empty string) the translator comment of an existing entry
+  setComment(key, comment) {
+    const entry = this.get(key);
+    if (!entry) throw new Error(`No status entry for ${key}`);
+    const { comment: _old, ...rest } = entry;
+    this.entries[key] = comment ? { ...rest, comment } : rest;
+    return this.entries[key];
+  }
+
+  async save() {
+    return writeJsonAtomic(this.file, this.entries);
+  }
+}
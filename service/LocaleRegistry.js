@@ -0,0 +1,226 @@
+import fs from "fs";
+import defaultLocales from "../configs/Locales.js";
+
+// Language codes accepted by AWS Translate (source and target)
+const AWS_TRANSLATE_CODES = new Set([
+  "af",
+  "sq",
+  "am",
+  "ar",
+  "hy",
+  "az",
+  "bn",
+  "bs",
+  "bg",
+  "ca",
+  "zh",
+  "zh-TW",
+  "hr",
+  "cs",
+  "da",
+  "fa-AF",
+  "nl",
+  "en",
+  "et",
+  "fa",
+  "tl",
+  "fi",
+  "fr",
+  "fr-CA",
+  "ka",
+  "de",
+  "el",
+  "gu",
+  "ht",
+  "ha",
+  "he",
+  "hi",
+  "hu",
+  "is",
+  "id",
+  "ga",
+  "it",
+  "ja",
+  "kn",
+  "kk",
+  "ko",
+  "lv",
+  "lt",
+  "mk",
+  "ms",
+  "ml",
+  "mt",
+  "mr",
+  "mn",
+  "no",
+  "ps",
+  "pl",
+  "pt",
+  "pt-PT",
+  "pa",
+  "ro",
+  "ru",
+  "sr",
+  "si",
+  "sk",
+  "sl",
+  "so",
+  "es",
+  "es-MX",
+  "sw",
+  "sv",
+  "ta",
+  "te",
+  "th",
+  "tr",
+  "uk",
+  "ur",
+  "uz",
+  "vi",
+  "cy",
+]);
+const DIRECTIONS = new Set(["ltr", "rtl"]);
+
+function normalizeLocale(raw, sourceCode) {
+  return {
+    folderCode: String(raw.folderCode || "").trim(),
+    awsCode: String(raw.awsCode || "").trim(),
+    name: raw.name || raw.folderCode,
+    direction: raw.direction || "ltr",
+    fallback: raw.fallback === undefined ? sourceCode : raw.fallback,
+    enabled: raw.enabled !== false,
+  };
+}
+
+/**
+ * LocaleRegistry - single source of truth for the source locale and the
+ * target locales, shared by the runner, the API and the dashboard.
+ *
+ * Resolution order: `opts.locales` object, then a JSON file from
+ * `opts.file` / LOCALES_CONFIG, then configs/Locales.js. TRANSLATE_LOCALES
+ * (or `opts.enabled`) is an optional comma list of folderCodes that replaces
+ * the `enabled` flags from config.
+ */
+export default class LocaleRegistry {
+  static AWS_TRANSLATE_CODES = AWS_TRANSLATE_CODES;
+
+  constructor(config) {
+    if (!config || typeof config !== "object" || !config.source) {
+      throw new TypeError("LocaleRegistry: config must define a source locale");
+    }
+    const sourceCode = String(config.source.folderCode || "").trim();
+    this.source = normalizeLocale(
+      { ...config.source, fallback: null, enabled: true },
+      sourceCode
+    );
+    this.targets = (Array.isArray(config.targets) ? config.targets : []).map(
+      (t) => normalizeLocale(t, sourceCode)
+    );
+    LocaleRegistry.validate(this);
+  }
+
+  static load(opts = {}) {
+    let config = opts.locales || null;
+    const file = opts.file || process.env.LOCALES_CONFIG || null;
+    if (!config && file) {
+      try {
+        config = JSON.parse(fs.readFileSync(file, "utf8"));
+      } catch (e) {
+        throw new Error(`Cannot read locale config ${file}: ${e.message}`);
+      }
+    }
+    const registry = new LocaleRegistry(config || defaultLocales);
+
+    const only = opts.enabled || process.env.TRANSLATE_LOCALES || null;
+    if (only) registry.setEnabled(only);
+    return registry;
+  }
+
+  static validate(registry) {
+    const problems = [];
+    const all = [registry.source, ...registry.targets];
+    const seen = new Set();
+    for (const loc of all) {
+      const label = loc.folderCode || "(missing folderCode)";
+      if (!loc.folderCode) problems.push(`${label}: folderCode is required`);
+      if (seen.has(loc.folderCode))
+        problems.push(`${label}: duplicate folderCode`);
+      seen.add(loc.folderCode);
+      if (!AWS_TRANSLATE_CODES.has(loc.awsCode))
+        problems.push(
+          `${label}: awsCode "${loc.awsCode}" is not supported by AWS Translate`
+        );
+      if (!DIRECTIONS.has(loc.direction))
+        problems.push(`${label}: direction must be "ltr" or "rtl"`);
+    }
+    for (const loc of registry.targets) {
+      if (loc.folderCode === registry.source.folderCode)
+        problems.push(`${loc.folderCode}: target cannot equal source`);
+      if (loc.fallback && !seen.has(loc.fallback))
+        problems.push(
+          `${loc.folderCode}: fallback "${loc.fallback}" is not a known locale`
+        );
+    }
+    // A fallback chain has to end at the source or at a locale without one
+    for (const loc of registry.targets) {
+      const chain = [loc.folderCode];
+      let next = loc.fallback;
+      while (next && next !== registry.source.folderCode) {
+        if (chain.includes(next)) {
+          problems.push(
+            `${loc.folderCode}: fallback cycle ${[...chain, next].join(" -> ")}`
+          );
+          break;
+        }
+        chain.push(next);
+        next = registry.get(next)?.fallback;
+      }
+    }
+    if (problems.length) {
+      throw new Error(`Invalid locale registry: ${problems.join("; ")}`);
+    }
+    return true;
+  }
+
+  setEnabled(list) {
+    const codes = (Array.isArray(list) ? list : String(list).split(","))
+      .map((c) => c.trim())
+      .filter(Boolean);
+    const unknown = codes.filter((c) => !this.get(c));
+    if (unknown.length) {
+      throw new Error(`Unknown target locale(s): ${unknown.join(", ")}`);
+    }
+    for (const t of this.targets) t.enabled = codes.includes(t.folderCode);
+  }
+
+  get(folderCode) {
+    return this.targets.find((t) => t.folderCode === folderCode) || null;
+  }
+
+  /**
+   * Target folderCodes to try, nearest first, before falling back to the
+   * source locale.
+   */
+  fallbackChain(folderCode) {
+    const chain = [];
+    let next = this.get(folderCode)?.fallback;
+    while (
+      next &&
+      next !== this.source.folderCode &&
+      next !== folderCode &&
+      !chain.includes(next)
+    ) {
+      chain.push(next);
+      next = this.get(next)?.fallback;
+    }
+    return chain;
+  }
+
+  enabledTargets() {
+    return this.targets.filter((t) => t.enabled);
+  }
+
+  toJSON() {
+    return { source: this.source, targets: this.targets };
+  }
+}
@@ -0,0 +1,397 @@
+import path from "path";
+import fsp from "fs/promises";
+import { logEvent } from "../utils/index.js";
+import { parse as parseIcu } from "./IcuMessage.js";
+import {
+  isTranslatable,
+  extractPlaceholders,
+  ensureDir,
+} from "./I18nHelpers.js";
+
+const PLATFORMS = ["android", "ios"];
+const SIMPLE_NODES = new Set(["literal", "argument", "pound"]);
+// AWS codes whose iOS .lproj folder uses a script instead
+const IOS_LPROJ = { zh: "zh-Hans", "zh-TW": "zh-Hant" };
+const IOS_PLURAL_EXACT = { "=0": "zero" };
+
+/**
+ * Resource names per flattened key, computed once from the source keys so
+ * every locale uses the same names. `items[0].label` in module `faq`
+ * becomes `faq_items_0_label` on Android (lower snake case, [a-z0-9_],
+ * starting with a letter) and `faq.items.0.label` on iOS. Names that
+ * collide after sanitising get a `_2`, `_3`, ... suffix.
+ */
+function resourceNames(moduleName, keys, platform) {
+  const used = new Set();
+  const names = new Map();
+  for (const key of keys) {
+    const base = `${moduleName}.${key}`.replace(/\[(\d+)\]/g, ".$1");
+    let name =
+      platform === "android"
+        ? base
+            .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, "_")
+            .replace(/^_+|_+$/g, "")
+        : base.replace(/[^\w.-]+/g, "_");
+    platform === "android" && !/^[a-z]/.test(name)
+      ? (name = `s_${name}`)
+      : null;
+    let unique = name;
+    for (let n = 2; used.has(unique); n += 1) unique = `${name}_${n}`;
+    used.add(unique);
+    names.set(key, unique);
+  }
+  return names;
+}
+
+// Resource folder for a locale; the source locale is the default folder
+function localeDir(platform, code, isSource) {
+  if (platform === "android") {
+    if (isSource) return "values";
+    const [lang, region] = code.split("-");
+    return region
+      ? `values-${lang}-r${region.toUpperCase()}`
+      : `values-${lang}`;
+  }
+  return `${IOS_LPROJ[code] || code}.lproj`;
+}
+
+// Parsed ICU nodes; text that is not valid ICU is split on {name} only
+function messageNodes(text) {
+  try {
+    return { nodes: parseIcu(text), icu: true };
+  } catch {
+    return {
+      nodes: text
+        .split(/(\{[^}]+\})/)
+        .filter(Boolean)
+        .map((part) =>
+          /^\{[^}]+\}$/.test(part)
+            ? { type: "argument", name: part.slice(1, -1), raw: part }
+            : { type: "literal", value: part }
+        ),
+      icu: false,
+    };
+  }
+}
+
+// ICU literal text: '{' quoting and doubled apostrophes removed
+function unquoteIcu(value) {
+  return value.replace(/'([{}#](?:[^']|'')*)'/g, "$1").replace(/''/g, "'");
+}
+
+/**
+ * Render simple nodes as a printf-style format string. Arguments are
+ * numbered by their order in the English source (`ctx.index`), so apps pass
+ * them in the same order for every locale; the plural count is an integer
+ * (`%1$d`), other arguments strings (`%1$s` / `%1$@`, or `%@` when the iOS
+ * string has a single argument). Literal `%` is doubled only in strings
+ * that hold a specifier.
+ */
+function renderNodes(nodes, ctx) {
+  const spec = (name) => {
+    if (!ctx.index.has(name)) ctx.index.set(name, ctx.index.size + 1);
+    const i = ctx.index.get(name);
+    if (name === ctx.count) return `%${i}$d`;
+    if (ctx.platform === "android") return `%${i}$s`;
+    return ctx.single ? "%@" : `%${i}$@`;
+  };
+  return nodes
+    .map((n) => {
+      if (n.type === "argument") return spec(n.name);
+      if (n.type === "pound") return spec(ctx.count);
+      const text = ctx.icu ? unquoteIcu(n.value) : n.value;
+      return ctx.formatted ? text.replace(/%/g, "%%") : text;
+    })
+    .join("");
+}
+
+/**
+ * Convert one message for `platform`. Returns { value } for plain strings,
+ * { plural } for a message holding a single top-level `plural` argument, or
+ * null when the message cannot be expressed (select, nested or several
+ * plurals, offsets).
+ */
+function convertMessage(text, sourceText, platform) {
+  const index = new Map(
+    [...extractPlaceholders(sourceText)].map((name, i) => [name, i + 1])
+  );
+  const { nodes, icu } = messageNodes(text);
+  const complex = nodes.filter((n) => !SIMPLE_NODES.has(n.type));
+  if (!complex.length) {
+    const args = nodes.filter((n) => n.type === "argument").length;
+    return {
+      value: renderNodes(nodes, {
+        index,
+        platform,
+        icu,
+        formatted: args > 0,
+        single: index.size <= 1,
+      }),
+    };
+  }
+  const [plural] = complex;
+  if (
+    complex.length > 1 ||
+    plural.type !== "plural" ||
+    plural.offset ||
+    plural.options.some((o) => o.message.some((n) => !SIMPLE_NODES.has(n.type)))
+  ) {
+    return null;
+  }
+  const at = nodes.indexOf(plural);
+  const prefix = nodes.slice(0, at);
+  const suffix = nodes.slice(at + 1);
+  const ctx = { index, platform, icu, formatted: true, count: plural.name };
+  const variable = plural.name.replace(/\W/g, "_");
+  const formatKey =
+    platform === "ios"
+      ? `${renderNodes(prefix, ctx)}%${index.get(
+          plural.name
+        )}$#@${variable}@${renderNodes(suffix, ctx)}`
+      : null;
+  const options = [];
+  for (const o of plural.options) {
+    const selector =
+      platform === "ios"
+        ? IOS_PLURAL_EXACT[o.selector] || o.selector
+        : o.selector;
+    // Other exact matches (=1, =2, ...) have no platform equivalent
+    if (
+      selector.startsWith("=") ||
+      options.some((x) => x.selector === selector)
+    )
+      continue;
+    // Android plurals cannot hold text around the count; it goes into each item
+    const message =
+      platform === "android" ? [...prefix, ...o.message, ...suffix] : o.message;
+    options.push({ selector, value: renderNodes(message, ctx) });
+  }
+  return { plural: { variable, formatKey, options } };
+}
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+// Android string resource escaping on top of XML escaping
+function escapeAndroid(str) {
+  return escapeXml(str.replace(/\\/g, "\\\\"))
+    .replace(/"/g, '\\"')
+    .replace(/'/g, "\\'")
+    .replace(/\n/g, "\\n")
+    .replace(/\t/g, "\\t")
+    .replace(/^([@?])/, "\\$1");
+}
+
+function escapeStrings(str) {
+  return String(str)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n")
+    .replace(/\t/g, "\\t");
+}
+
+// entries: [{ name, value } | { name, plural }]
+function buildAndroidXml(entries, origin) {
+  const lines = [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    `<!-- Generated from ${escapeXml(origin)} -->`,
+    "<resources>",
+  ];
+  for (const e of entries) {
+    if (!e.plural) {
+      lines.push(
+        `    <string name="${e.name}">${escapeAndroid(e.value)}</string>`
+      );
+      continue;
+    }
+    lines.push(`    <plurals name="${e.name}">`);
+    for (const o of e.plural.options)
+      lines.push(
+        `        <item quantity="${o.selector}">${escapeAndroid(
+          o.value
+        )}</item>`
+      );
+    lines.push("    </plurals>");
+  }
+  lines.push("</resources>");
+  return lines.join("\n") + "\n";
+}
+
+function buildIosStrings(entries, origin) {
+  const lines = [`/* Generated from ${origin} */`];
+  for (const e of entries)
+    e.plural
+      ? null
+      : lines.push(`"${escapeStrings(e.name)}" = "${escapeStrings(e.value)}";`);
+  return lines.join("\n") + "\n";
+}
+
+function buildIosStringsdict(entries) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">',
+    '<plist version="1.0">',
+    "<dict>",
+  ];
+  const pair = (indent, key, value) =>
+    lines.push(
+      `${indent}<key>${escapeXml(key)}</key>`,
+      `${indent}<string>${escapeXml(value)}</string>`
+    );
+  for (const e of entries) {
+    if (!e.plural) continue;
+    const { variable, formatKey, options } = e.plural;
+    lines.push(`    <key>${escapeXml(e.name)}</key>`, "    <dict>");
+    pair("        ", "NSStringLocalizedFormatKey", formatKey);
+    lines.push(`        <key>${escapeXml(variable)}</key>`, "        <dict>");
+    pair("            ", "NSStringFormatSpecTypeKey", "NSStringPluralRuleType");
+    pair("            ", "NSStringFormatValueTypeKey", "d");
+    for (const o of options) pair("            ", o.selector, o.value);
+    lines.push("        </dict>", "    </dict>");
+  }
+  lines.push("</dict>", "</plist>");
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * MobileExporter - converts a module's locale files into Android
+ * res/values-<locale>/strings.xml (with <plurals>) and iOS
+ * <locale>.lproj/Localizable.strings (+ .stringsdict for plurals), written
+ * under <module>/android and <module>/ios next to the JSON output. The
+ * English source goes to the default folders (values/, en.lproj/).
+ */
+export default class MobileExporter {
+  static PLATFORMS = PLATFORMS;
+
+  constructor(opts = {}) {
+    this.platforms = opts.platforms?.length ? [...opts.platforms] : PLATFORMS;
+    const unknown = this.platforms.filter((p) => !PLATFORMS.includes(p));
+    if (unknown.length) {
+      throw new Error(
+        `Unknown mobile platform(s): ${unknown.join(
+          ", "
+        )}; expected ${PLATFORMS.join(", ")}`
+      );
+    }
+  }
+
+  // Entries of one locale for `platform`, in source key order; keys without
+  // a translation are left out so apps fall back to the default resources
+  convert({ moduleName, sourceFlat, targetFlat, platform }) {
+    const keys = Object.keys(sourceFlat).filter((k) =>
+      isTranslatable(sourceFlat[k])
+    );
+    const names = resourceNames(moduleName, keys, platform);
+    const entries = [];
+    const skipped = [];
+    for (const key of keys) {
+      const text = targetFlat[key];
+      if (!isTranslatable(text)) continue;
+      const converted = convertMessage(text, sourceFlat[key], platform);
+      converted
+        ? entries.push({ key, name: names.get(key), ...converted })
+        : skipped.push({ key, platform, reason: "unsupported_icu" });
+    }
+    return { entries, skipped };
+  }
+
+  async writeLocale({
+    moduleDir,
+    moduleName,
+    sourceFlat,
+    targetFlat,
+    locale,
+    isSource,
+  }) {
+    const files = [];
+    const skipped = [];
+    const origin = `${moduleName}/${locale.folderCode}.json`;
+    for (const platform of this.platforms) {
+      const result = this.convert({
+        moduleName,
+        sourceFlat,
+        targetFlat,
+        platform,
+      });
+      skipped.push(...result.skipped);
+      const dir = path.join(
+        moduleDir,
+        platform,
+        localeDir(platform, locale.awsCode, isSource)
+      );
+      await ensureDir(dir);
+      const outputs =
+        platform === "android"
+          ? { "strings.xml": buildAndroidXml(result.entries, origin) }
+          : {
+              "Localizable.strings": buildIosStrings(result.entries, origin),
+              ...(result.entries.some((e) => e.plural)
+                ? {
+                    "Localizable.stringsdict": buildIosStringsdict(
+                      result.entries
+                    ),
+                  }
+                : {}),
+            };
+      for (const [name, content] of Object.entries(outputs)) {
+        await fsp.writeFile(path.join(dir, name), content, "utf8");
+        files.push(path.join(dir, name));
+      }
+    }
+    return { files, skipped };
+  }
+
+  /**
+   * Write the source and one target locale of a module. Messages that have
+   * no mobile equivalent (select, nested plurals) are skipped and reported.
+   */
+  async exportPair({
+    moduleDir,
+    moduleName,
+    sourceFlat,
+    targetFlat,
+    source,
+    target,
+  }) {
+    const base = await this.writeLocale({
+      moduleDir,
+      moduleName,
+      sourceFlat,
+      targetFlat: sourceFlat,
+      locale: source,
+      isSource: true,
+    });
+    const out = await this.writeLocale({
+      moduleDir,
+      moduleName,
+      sourceFlat,
+      targetFlat,
+      locale: target,
+      isSource: false,
+    });
+    const skipped = [...base.skipped, ...out.skipped];
+    skipped.length
+      ? logEvent(
+          "tr_mobile_skip",
+          "mobile_export",
+          `${skipped.length} message(s) of ${moduleName}/${target.folderCode} have no mobile equivalent`,
+          { moduleName, targetFolder: target.folderCode, skipped }
+        )
+      : null;
+    return { files: [...base.files, ...out.files], skipped };
+  }
+}
+
+export {
+  resourceNames,
+  convertMessage,
+  buildAndroidXml,
+  buildIosStrings,
+  buildIosStringsdict,
+};
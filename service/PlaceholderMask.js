@@ -0,0 +1,78 @@
+// Opaque stand-ins for placeholders/markup while text is machine translated.
+// Tokens look like [PH0]; brackets keep them from fusing with adjacent words,
+// and restoring tolerates the spacing/case changes MT engines sometimes
+// introduce (e.g. "[ ph 0 ]"). Source text that already looks like a token
+// is masked as well, so it comes back verbatim instead of being replaced.
+const TOKEN = (n) => `[PH${n}]`;
+const TOKEN_REGEX = /\[\s*PH\s*(\d+)\s*\]/gi;
+const LITERAL_TOKEN_REGEX = /^\[\s*PH\s*\d+\s*\]/i;
+const TAG_REGEX = /^<\/?[A-Za-z][^<>]*>/;
+const ENTITY_REGEX = /^&(?:#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);/i;
+
+// Index of the "}" closing the "{" at `start`, honouring nesting (ICU)
+function matchBrace(str, start) {
+  let depth = 0;
+  for (let i = start; i < str.length; i++) {
+    if (str[i] === "{") depth++;
+    else if (str[i] === "}" && --depth === 0) return i;
+  }
+  return -1;
+}
+
+/**
+ * Replace `{0}`, `{name}`, whole ICU arguments, HTML tags, entities and
+ * literal token lookalikes with tokens. Returns the masked text and the
+ * originals in token order.
+ */
+function maskText(str) {
+  if (typeof str !== "string") return { text: str, tokens: [] };
+  const tokens = [];
+  let out = "";
+  let i = 0;
+  while (i < str.length) {
+    const rest = str.slice(i);
+    let len = 0;
+    if (str[i] === "{") {
+      const close = matchBrace(str, i);
+      len = close > i ? close - i + 1 : 0;
+    } else if (str[i] === "<") len = TAG_REGEX.exec(rest)?.[0].length || 0;
+    else if (str[i] === "&") len = ENTITY_REGEX.exec(rest)?.[0].length || 0;
+    else if (str[i] === "[")
+      len = LITERAL_TOKEN_REGEX.exec(rest)?.[0].length || 0;
+    if (len) {
+      out += TOKEN(tokens.length);
+      tokens.push(str.slice(i, i + len));
+      i += len;
+    } else {
+      out += str[i++];
+    }
+  }
+  return { text: out, tokens };
+}
+
+function unmaskText(str, tokens) {
+  if (typeof str !== "string" || !tokens || !tokens.length) return str;
+  return str.replace(TOKEN_REGEX, (m, n) =>
+    tokens[Number(n)] !== undefined ? tokens[Number(n)] : m
+  );
+}
+
+// lines: [{ key, text }] -> masked lines + per-key token lists
+function maskLines(lines) {
+  const tokensByKey = {};
+  const masked = lines.map(({ key, text }) => {
+    const m = maskText(text);
+    tokensByKey[key] = m.tokens;
+    return { key, text: m.text };
+  });
+  return { masked, tokensByKey };
+}
+
+function unmaskFlat(flat, tokensByKey) {
+  const out = {};
+  for (const [key, val] of Object.entries(flat))
+    out[key] = unmaskText(val, tokensByKey[key]);
+  return out;
+}
+
+export { maskText, unmaskText, maskLines, unmaskFlat };
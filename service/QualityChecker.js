@@ -0,0 +1,274 @@
+import fs from "fs";
+import defaultQuality from "../configs/Quality.js";
+import { isTranslatable } from "./I18nHelpers.js";
+
+const SEVERITIES = ["error", "warning", "off"];
+
+const TAG_REGEX = /<\/?([a-zA-Z][\w-]*)\b[^<>]*?(\/?)>/g;
+const URL_REGEX = /\b(?:https?:\/\/|www\.)[^\s<>"']+/gi;
+const EMAIL_REGEX = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const NUMBER_REGEX = /\d+(?:[.,\s]\d+)*/g;
+// Sentence-final punctuation, with full-width and Arabic equivalents
+const END_PUNCTUATION = [
+  ["ellipsis", /(?:\.\.\.|…)$/],
+  ["period", /[.。．]$/],
+  ["exclamation", /[!！]$/],
+  ["question", /[?？؟]$/],
+  ["colon", /[:：]$/],
+];
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Text with {placeholders} (including nested ICU arguments) removed
+function stripPlaceholders(text) {
+  let out = text;
+  for (let prev = null; prev !== out; ) {
+    prev = out;
+    out = out.replace(/\{[^{}]*\}/g, " ");
+  }
+  return out;
+}
+
+function matches(text, regex) {
+  return (text.match(regex) || []).map((m) => m.replace(/[.,;:!?)]+$/, ""));
+}
+
+// Items of `expected` not found in `actual`, counting duplicates
+function missingFrom(expected, actual) {
+  const left = [...actual];
+  return expected.filter((item) => {
+    const i = left.indexOf(item);
+    return i === -1 ? true : (left.splice(i, 1), false);
+  });
+}
+
+function tags(text) {
+  return [...text.matchAll(TAG_REGEX)]
+    .map((m) => `${m[0][1] === "/" ? "/" : ""}${m[1].toLowerCase()}${m[2]}`)
+    .sort();
+}
+
+function endPunctuation(text) {
+  const trimmed = text.trim();
+  const hit = END_PUNCTUATION.find(([, regex]) => regex.test(trimmed));
+  return hit ? hit[0] : null;
+}
+
+/**
+ * Checks take { key, source, target, locale, config } for one translated
+ * string and return issues { message, ...details }.
+ */
+const CHECKS = {
+  html_tags: ({ source, target }) => {
+    const src = tags(source);
+    const tgt = tags(target);
+    const missing = missingFrom(src, tgt);
+    const extra = missingFrom(tgt, src);
+    return missing.length || extra.length
+      ? [
+          {
+            message: `HTML tags differ from source`,
+            missing: missing.map((t) => `<${t}>`),
+            extra: extra.map((t) => `<${t}>`),
+          },
+        ]
+      : [];
+  },
+
+  whitespace: ({ source, target }) => {
+    const issues = [];
+    /^\s/.test(source) !== /^\s/.test(target)
+      ? issues.push({ message: "Leading whitespace differs from source" })
+      : null;
+    /\s$/.test(source) !== /\s$/.test(target)
+      ? issues.push({ message: "Trailing whitespace differs from source" })
+      : null;
+    return issues;
+  },
+
+  punctuation: ({ source, target }) => {
+    const src = endPunctuation(source);
+    const tgt = endPunctuation(target);
+    return src === tgt
+      ? []
+      : [
+          {
+            message: src
+              ? `Source ends with ${src}, translation with ${tgt || "none"}`
+              : `Translation ends with ${tgt}; source has no final punctuation`,
+            expected: src,
+            actual: tgt,
+          },
+        ];
+  },
+
+  // Same text as the source, unless it has no words to translate
+  untranslated: ({ source, target }) =>
+    source === target &&
+    /\p{L}{2,}/u.test(
+      stripPlaceholders(source)
+        .replace(TAG_REGEX, " ")
+        .replace(URL_REGEX, " ")
+        .replace(EMAIL_REGEX, " ")
+    )
+      ? [{ message: "Translation is identical to the source" }]
+      : [],
+
+  numbers: ({ source, target }) => {
+    const norm = (text) =>
+      matches(stripPlaceholders(text), NUMBER_REGEX).map((n) =>
+        n.replace(/[.,\s]/g, "")
+      );
+    const missing = missingFrom(norm(source), norm(target));
+    return missing.length
+      ? [{ message: `Numbers missing: ${missing.join(", ")}`, missing }]
+      : [];
+  },
+
+  urls: ({ source, target }) => {
+    const missing = missingFrom(
+      matches(source, URL_REGEX),
+      matches(target, URL_REGEX)
+    );
+    return missing.length
+      ? [{ message: `URLs missing: ${missing.join(", ")}`, missing }]
+      : [];
+  },
+
+  emails: ({ source, target }) => {
+    const missing = missingFrom(
+      matches(source, EMAIL_REGEX),
+      matches(target, EMAIL_REGEX)
+    );
+    return missing.length
+      ? [{ message: `Emails missing: ${missing.join(", ")}`, missing }]
+      : [];
+  },
+
+  max_length: ({ key, target, config }) => {
+    const limit = maxLengthFor(config.maxLength, key);
+    const length = [...target].length;
+    return limit !== null && length > limit
+      ? [{ message: `${length} characters; limit is ${limit}`, length, limit }]
+      : [];
+  },
+
+  forbidden_terms: ({ target, locale, config }) => {
+    const terms = [
+      ...(config.forbiddenTerms["*"] || []),
+      ...(config.forbiddenTerms[locale] || []),
+    ];
+    return terms
+      .filter((term) =>
+        new RegExp(
+          `(?<![\\p{L}\\p{N}])${escapeRegex(term)}(?![\\p{L}\\p{N}])`,
+          "iu"
+        ).test(target)
+      )
+      .map((term) => ({ message: `Contains forbidden term "${term}"`, term }));
+  },
+};
+
+// Exact key first, then the longest matching "prefix.*" pattern
+function maxLengthFor(limits, key) {
+  if (Object.prototype.hasOwnProperty.call(limits, key)) return limits[key];
+  const pattern = Object.keys(limits)
+    .filter((p) => p.endsWith(".*") && key.startsWith(p.slice(0, -1)))
+    .sort((a, b) => b.length - a.length)[0];
+  return pattern ? limits[pattern] : null;
+}
+
+/**
+ * QualityChecker - checks translated strings beyond key and placeholder
+ * parity: HTML tags, whitespace, final punctuation, untranslated text,
+ * numbers, URLs, emails, length limits and forbidden terms. Config comes from
+ * `opts.config`, a JSON file (`opts.file` / QUALITY_CONFIG) or
+ * configs/Quality.js; TRANSLATE_QA_CHECKS ("check:severity,...") overrides
+ * severities. Issues are reported, never thrown.
+ */
+export default class QualityChecker {
+  static CHECKS = Object.keys(CHECKS);
+
+  constructor(config = {}) {
+    const fromEnv = Object.fromEntries(
+      String(process.env.TRANSLATE_QA_CHECKS || "")
+        .split(",")
+        .map((pair) => pair.split(":").map((s) => s.trim()))
+        .filter(([check]) => check)
+    );
+    this.checks = {
+      ...defaultQuality.checks,
+      ...(config.checks || {}),
+      ...fromEnv,
+    };
+    this.maxLength = config.maxLength || {};
+    this.forbiddenTerms = config.forbiddenTerms || {};
+
+    const problems = [];
+    for (const [check, severity] of Object.entries(this.checks)) {
+      CHECKS[check] ? null : problems.push(`unknown check "${check}"`);
+      SEVERITIES.includes(severity)
+        ? null
+        : problems.push(`${check}: severity must be ${SEVERITIES.join("/")}`);
+    }
+    for (const [key, limit] of Object.entries(this.maxLength))
+      Number.isInteger(limit) && limit > 0
+        ? null
+        : problems.push(`maxLength ${key}: must be a positive integer`);
+    for (const [locale, terms] of Object.entries(this.forbiddenTerms))
+      Array.isArray(terms) && terms.every((t) => typeof t === "string" && t)
+        ? null
+        : problems.push(`forbiddenTerms ${locale}: must be a list of strings`);
+    if (problems.length) {
+      throw new Error(`Invalid quality config: ${problems.join("; ")}`);
+    }
+  }
+
+  static load(opts = {}) {
+    let config = opts.config || null;
+    const file = opts.file || process.env.QUALITY_CONFIG || null;
+    if (!config && file) {
+      try {
+        config = JSON.parse(fs.readFileSync(file, "utf8"));
+      } catch (e) {
+        throw new Error(`Cannot read quality config ${file}: ${e.message}`);
+      }
+    }
+    return new QualityChecker(config || defaultQuality);
+  }
+
+  // Copy of this checker with some check severities replaced
+  withSeverities(overrides) {
+    const copy = Object.assign(Object.create(QualityChecker.prototype), this);
+    copy.checks = { ...this.checks, ...overrides };
+    return copy;
+  }
+
+  /**
+   * Check every key translated in both flat maps (missing keys are left to
+   * validateKeyAndPlaceholderParity). `keys` limits the keys checked.
+   * Returns { issues: [{ check, severity, key, message, ... }], errors,
+   * warnings }.
+   */
+  check({ sourceFlat, targetFlat, locale, keys }) {
+    const issues = [];
+    for (const key of keys || Object.keys(sourceFlat)) {
+      const source = sourceFlat[key];
+      const target = targetFlat[key];
+      if (!isTranslatable(source) || !isTranslatable(target)) continue;
+      for (const [check, severity] of Object.entries(this.checks)) {
+        if (severity === "off") continue;
+        for (const issue of CHECKS[check]({
+          key,
+          source,
+          target,
+          locale,
+          config: this,
+        }))
+          issues.push({ check, severity, key, ...issue });
+      }
+    }
+    const errors = issues.filter((i) => i.severity === "error").length;
+    return { issues, errors, warnings: issues.length - errors };
+  }
+}
@@ -0,0 +1,156 @@
+import { extractPlaceholders } from "./I18nHelpers.js";
+
+const SEVERITIES = ["error", "warning", "off"];
+const ON_ERROR = ["abort", "skip", "report"];
+
+// Default severity per rule
+const DEFAULT_RULES = {
+  empty_string: "warning",
+  trailing_whitespace: "warning",
+  unbalanced_braces: "error",
+  duplicate_value: "warning",
+  inconsistent_placeholders: "warning",
+};
+
+// Depth scan of { }, ignoring ICU-quoted braces ('{')
+function bracesBalanced(text) {
+  let depth = 0;
+  for (const ch of text.replace(/'[{}][^']*'/g, "")) {
+    ch === "{" ? (depth += 1) : ch === "}" ? (depth -= 1) : null;
+    if (depth < 0) return false;
+  }
+  return depth === 0;
+}
+
+// "positional" ({0}), "named" ({name}), "mixed" or null without placeholders
+function placeholderStyle(text) {
+  const names = [...extractPlaceholders(text)];
+  if (!names.length) return null;
+  const positional = names.filter((n) => /^\d+$/.test(n)).length;
+  if (!positional) return "named";
+  return positional === names.length ? "positional" : "mixed";
+}
+
+/**
+ * Rules take the module's string entries ([key, text]) and return issues
+ * { key, message, related? }.
+ */
+const RULES = {
+  empty_string: (entries) =>
+    entries
+      .filter(([, text]) => !text.trim())
+      .map(([key]) => ({ key, message: "Empty string" })),
+
+  trailing_whitespace: (entries) =>
+    entries
+      .filter(([, text]) => text.trim() && text !== text.trim())
+      .map(([key]) => ({ key, message: "Leading or trailing whitespace" })),
+
+  unbalanced_braces: (entries) =>
+    entries
+      .filter(([, text]) => !bracesBalanced(text))
+      .map(([key]) => ({ key, message: "Unbalanced { }" })),
+
+  duplicate_value: (entries) => {
+    const first = new Map();
+    const issues = [];
+    for (const [key, text] of entries) {
+      if (!text.trim()) continue;
+      first.has(text)
+        ? issues.push({
+            key,
+            related: first.get(text),
+            message: `Same text as ${first.get(text)}`,
+          })
+        : first.set(text, key);
+    }
+    return issues;
+  },
+
+  // Mixing {0} and {name} in one string, or using the module's less common
+  // style
+  inconsistent_placeholders: (entries) => {
+    const styles = entries.map(([key, text]) => [key, placeholderStyle(text)]);
+    const count = (s) => styles.filter(([, style]) => style === s).length;
+    const minority =
+      count("positional") && count("named")
+        ? count("positional") <= count("named")
+          ? "positional"
+          : "named"
+        : null;
+    return styles
+      .filter(([, style]) => style && (style === "mixed" || style === minority))
+      .map(([key, style]) => ({
+        key,
+        message:
+          style === "mixed"
+            ? "Mixes positional ({0}) and named ({name}) placeholders"
+            : `Uses ${style} placeholders; most strings in the module use ${
+                style === "named" ? "positional" : "named"
+              }`,
+      }));
+  },
+};
+
+/**
+ * SourceLinter - checks a module's English strings before they are sent
+ * for translation. Rule severities ("error", "warning", "off") come from
+ * TRANSLATE_LINT_RULES ("rule:severity,...") or `opts.rules`; `onError`
+ * (TRANSLATE_LINT_ON_ERROR) decides what error-level issues do: "abort" the
+ * job, "skip" the offending keys, or only "report" them.
+ */
+export default class SourceLinter {
+  static RULES = Object.keys(RULES);
+
+  constructor(opts = {}) {
+    const fromEnv = Object.fromEntries(
+      String(process.env.TRANSLATE_LINT_RULES || "")
+        .split(",")
+        .map((pair) => pair.split(":").map((s) => s.trim()))
+        .filter(([rule]) => rule)
+    );
+    this.rules = { ...DEFAULT_RULES, ...(opts.rules || {}), ...fromEnv };
+    this.onError =
+      process.env.TRANSLATE_LINT_ON_ERROR || opts.onError || "skip";
+
+    const problems = [];
+    for (const [rule, severity] of Object.entries(this.rules)) {
+      RULES[rule] ? null : problems.push(`unknown rule "${rule}"`);
+      SEVERITIES.includes(severity)
+        ? null
+        : problems.push(`${rule}: severity must be ${SEVERITIES.join("/")}`);
+    }
+    ON_ERROR.includes(this.onError)
+      ? null
+      : problems.push(`onError must be ${ON_ERROR.join("/")}`);
+    if (problems.length) {
+      throw new Error(`Invalid lint config: ${problems.join("; ")}`);
+    }
+  }
+
+  /**
+   * Lint a flattened en.json. Returns { issues, errors, warnings, skipKeys };
+   * skipKeys lists keys with error-level issues when onError is "skip".
+   */
+  lint(flat) {
+    const entries = Object.entries(flat).filter(
+      ([, text]) => typeof text === "string"
+    );
+    const issues = [];
+    for (const [rule, severity] of Object.entries(this.rules)) {
+      if (severity === "off") continue;
+      for (const issue of RULES[rule](entries))
+        issues.push({ rule, severity, ...issue });
+    }
+    const errors = issues.filter((i) => i.severity === "error");
+    return {
+      issues,
+      errors: errors.length,
+      warnings: issues.length - errors.length,
+      skipKeys:
+        this.onError === "skip" ? [...new Set(errors.map((i) => i.key))] : [],
+    };
+  }
+}
+
+export { DEFAULT_RULES };
@@ -0,0 +1,325 @@
+import { parse as toCsv } from "json2csv";
+import ExcelJS from "exceljs";
+import { logEvent } from "../utils/index.js";
+import TranslationReview from "./TranslationReview.js";
+import { scanI18nBaseDirs, scanModulesWithEnglish } from "./I18nHelpers.js";
+
+const FORMATS = ["csv", "xlsx"];
+const SHEET_NAME = "Translations";
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF) into rows of
+ * cells. The delimiter (",", ";" or tab) is taken from the header line, since
+ * spreadsheet apps in some locales save with ";".
+ */
+function parseCsv(text) {
+  const str = String(text || "").replace(/^\uFEFF/, "");
+  const header = str.slice(0, str.search(/\r?\n|$/));
+  const delimiter = [",", ";", "\t"]
+    .map((d) => [d, header.split(d).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < str.length; i += 1) {
+    const ch = str[i];
+    if (quoted) {
+      if (ch === '"' && str[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      ch === "\r" && str[i + 1] === "\n" ? (i += 1) : null;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (quoted) throw new Error("Invalid CSV: unterminated quoted field");
+  cell !== "" || row.length ? (row.push(cell), rows.push(row)) : null;
+  return rows.filter((r) => r.some((c) => c !== ""));
+}
+
+// Header row + data rows -> [{ column: value }]
+function toRecords(rows) {
+  const [header = [], ...data] = rows;
+  const columns = header.map((h) => String(h ?? "").trim());
+  return {
+    columns,
+    records: data.map((r) =>
+      Object.fromEntries(columns.map((c, i) => [c, r[i] ?? ""]))
+    ),
+  };
+}
+
+/**
+ * SpreadsheetExchange - bulk editing of every module in one sheet: one row
+ * per flattened key with the English source and a column per locale, as CSV
+ * or XLSX. Import applies changed cells to the matching locale files through
+ * TranslationReview, which checks key existence, locks and placeholder
+ * parity; `dryRun` only reports.
+ */
+export default class SpreadsheetExchange {
+  static FORMATS = FORMATS;
+
+  constructor(opts = {}) {
+    this.review = opts.review || new TranslationReview(opts);
+  }
+
+  get sourceColumn() {
+    return this.review.promoter.locales.source.folderCode;
+  }
+
+  // Modules with an en.json; for a job only the modules it produced
+  async _modules(jobId, only) {
+    const names = [];
+    for (const base of await scanI18nBaseDirs(
+      this.review.promoter.i18nBasePref
+    ))
+      for (const m of await scanModulesWithEnglish(base))
+        names.includes(m.moduleName) ? null : names.push(m.moduleName);
+    const inJob = jobId
+      ? new Set(
+          (await this.review.promoter.listJobFiles(jobId)).map(
+            (f) => f.moduleName
+          )
+        )
+      : null;
+    const unknown = (only || []).filter((m) => !names.includes(m));
+    if (unknown.length)
+      throw new Error(`Unknown module(s): ${unknown.join(", ")}`);
+    return names.filter(
+      (m) => (!only?.length || only.includes(m)) && (!inJob || inJob.has(m))
+    );
+  }
+
+  _locales(only) {
+    const known = this.review.promoter.knownLocales();
+    const locales = only?.length
+      ? only
+      : this.review.promoter.locales.enabledTargets().map((t) => t.folderCode);
+    const unknown = locales.filter((l) => !known.has(l));
+    if (unknown.length) {
+      throw new Error(`Unknown target locale(s): ${unknown.join(", ")}`);
+    }
+    return locales;
+  }
+
+  /**
+   * Rows { module, key, <source>, <locale>... } for every translatable key
+   * of the selected modules, read from i18n or from a job's output.
+   */
+  async rows({ jobId = null, modules, locales } = {}) {
+    const targets = this._locales(locales);
+    const rows = [];
+    for (const moduleName of await this._modules(jobId, modules)) {
+      const byKey = new Map();
+      for (const locale of targets) {
+        const data = await this.review.load({ jobId, moduleName, locale });
+        for (const r of data.rows) {
+          if (!r.editable) continue;
+          byKey.has(r.key)
+            ? null
+            : byKey.set(r.key, {
+                module: moduleName,
+                key: r.key,
+                [this.sourceColumn]: r.source,
+              });
+          byKey.get(r.key)[locale] = r.target ?? "";
+        }
+      }
+      rows.push(...byKey.values());
+    }
+    return { rows, fields: ["module", "key", this.sourceColumn, ...targets] };
+  }
+
+  async export({ jobId = null, modules, locales, format = "csv" } = {}) {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Unsupported spreadsheet format: ${format}`);
+    }
+    const { rows, fields } = await this.rows({ jobId, modules, locales });
+    let body;
+    if (format === "csv") {
+      body = toCsv(rows, { fields, withBOM: true });
+    } else {
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet(SHEET_NAME, {
+        views: [{ state: "frozen", xSplit: 2, ySplit: 1 }],
+      });
+      sheet.columns = fields.map((f) => ({
+        header: f,
+        key: f,
+        width: f === "module" ? 16 : f === "key" ? 32 : 48,
+        style: { alignment: { wrapText: true, vertical: "top" } },
+      }));
+      sheet.getRow(1).font = { bold: true };
+      sheet.addRows(rows);
+      body = Buffer.from(await workbook.xlsx.writeBuffer());
+    }
+    const fileName = `translations${jobId ? `_${jobId}` : ""}.${format}`;
+    logEvent("tr_sheet_export", "spreadsheet", `Exported ${fileName}`, {
+      jobId,
+      rows: rows.length,
+      columns: fields,
+    });
+    return { body, fileName, rows: rows.length, columns: fields };
+  }
+
+  // Records from an uploaded file; XLSX is recognised by its zip signature
+  async _read(buffer) {
+    const buf = Buffer.isBuffer(buffer) ? buffer : Buffer.from(String(buffer));
+    if (buf.subarray(0, 2).toString("latin1") !== "PK") {
+      return { format: "csv", ...toRecords(parseCsv(buf.toString("utf8"))) };
+    }
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buf);
+    } catch (e) {
+      throw new Error(`Invalid XLSX: ${e.message}`);
+    }
+    const sheet = workbook.getWorksheet(SHEET_NAME) || workbook.worksheets[0];
+    if (!sheet) throw new Error("Invalid XLSX: no worksheet");
+    const rows = [];
+    sheet.eachRow((row) => {
+      const cells = [];
+      for (let c = 1; c <= sheet.columnCount; c += 1)
+        cells.push(row.getCell(c).text ?? "");
+      rows.push(cells);
+    });
+    return { format: "xlsx", ...toRecords(rows) };
+  }
+
+  /**
+   * Apply an edited sheet. Non-empty cells that differ from the current
+   * translation are saved as "reviewed"; empty cells are left alone. Rows
+   * whose source cell no longer matches en.json are reported as stale but
+   * still applied if they pass validation.
+   */
+  async import({ jobId = null, file, dryRun = false }) {
+    const { format, columns, records } = await this._read(file);
+    for (const required of ["module", "key"]) {
+      if (!columns.includes(required)) {
+        throw new Error(`Spreadsheet needs a "${required}" column`);
+      }
+    }
+    const known = this.review.promoter.knownLocales();
+    const locales = columns.filter((c) => known.has(c));
+    const ignoredColumns = columns.filter(
+      (c) => !["module", "key", this.sourceColumn].includes(c) && !known.has(c)
+    );
+    if (!locales.length) throw new Error("Spreadsheet has no locale columns");
+
+    const rejected = [];
+    const groups = new Map(); // module -> records
+    const seen = new Set();
+    for (const rec of records) {
+      const moduleName = String(rec.module || "").trim();
+      const key = String(rec.key || "").trim();
+      const id = `${moduleName}\u0000${key}`;
+      if (seen.has(id)) {
+        rejected.push({ moduleName, key, reason: "duplicate_row" });
+        continue;
+      }
+      seen.add(id);
+      groups.has(moduleName) ? null : groups.set(moduleName, []);
+      groups.get(moduleName).push({ ...rec, key });
+    }
+
+    const files = [];
+    const stale = [];
+    for (const [moduleName, recs] of groups) {
+      for (const locale of locales) {
+        const units = recs
+          .filter((r) => String(r[locale] ?? "") !== "")
+          .map((r) => ({ key: r.key, target: String(r[locale]) }));
+        if (!units.length) continue;
+        let report;
+        try {
+          report = await this.review.importUnits({
+            jobId,
+            moduleName,
+            locale,
+            units,
+            dryRun,
+            statusFor: (unit, row, edited) => (edited ? "reviewed" : null),
+          });
+        } catch (e) {
+          rejected.push(
+            ...units.map((u) => ({
+              moduleName,
+              locale,
+              key: u.key,
+              reason: "unknown_module",
+              details: e.message,
+            }))
+          );
+          continue;
+        }
+        rejected.push(
+          ...report.rejected.map((r) => ({ moduleName, locale, ...r }))
+        );
+        files.push({
+          moduleName,
+          locale,
+          accepted: report.accepted,
+          unchanged: report.unchanged,
+          rejected: report.rejected.length,
+          file: report.file || null,
+          backup: report.backup || null,
+        });
+      }
+      if (columns.includes(this.sourceColumn)) {
+        const current = await this.review
+          .load({ jobId, moduleName, locale: locales[0] })
+          .catch(() => null);
+        const sources = new Map(
+          (current?.rows || []).map((r) => [r.key, r.source])
+        );
+        for (const r of recs)
+          sources.has(r.key) &&
+          String(r[this.sourceColumn] ?? "") !== String(sources.get(r.key))
+            ? stale.push({ moduleName, key: r.key })
+            : null;
+      }
+    }
+
+    const accepted = files.reduce((n, f) => n + f.accepted.length, 0);
+    const report = {
+      jobId,
+      dryRun,
+      format,
+      rows: records.length,
+      locales,
+      ignoredColumns,
+      accepted,
+      files,
+      rejected,
+      stale,
+    };
+    logEvent(
+      "tr_sheet_import",
+      "spreadsheet",
+      `${
+        dryRun ? "Checked" : "Imported"
+      } ${format}: ${accepted} cell(s) accepted, ${rejected.length} rejected`,
+      { jobId, rejected, stale: stale.length },
+      rejected.length > 0
+    );
+    return report;
+  }
+}
+
+export { parseCsv };
@@ -0,0 +1,296 @@
+import path from "path";
+import fsp from "fs/promises";
+import { logEvent } from "../utils/index.js";
+import TranslationRunner from "./TranslationRunner.js";
+import JobManifest from "./JobManifest.js";
+import {
+  pathExists,
+  readJsonSafe,
+  scanI18nBaseDirs,
+  scanModulesWithEnglish,
+} from "./I18nHelpers.js";
+
+const JOB_ID_REGEX = /^[\w-]+$/;
+const HISTORY_LIMIT = 500; // recent events replayed to late subscribers
+
+/**
+ * TranslationJobs - launches TranslationRunner jobs in the background and
+ * answers status queries. Running jobs are tracked in-process; finished jobs
+ * are read back from their manifest under translations/jobs/<jobId>/.
+ */
+export default class TranslationJobs {
+  constructor(opts = {}) {
+    this.outputRoot =
+      process.env.TRANSLATION_OUTPUT_ROOT ||
+      opts.outputRoot ||
+      path.join("translations", "jobs");
+    this.i18nBasePref = process.env.I18N_BASE_DIR || opts.i18nBaseDir || null;
+    this.runnerOptions = opts.runnerOptions || {};
+    // jobId -> { runner, promise, startedAt, error, history }
+    this.running = new Map();
+  }
+
+  jobDir(jobId) {
+    if (!JOB_ID_REGEX.test(String(jobId || ""))) {
+      throw new Error(`Invalid job id: ${jobId}`);
+    }
+    return path.join(this.outputRoot, jobId);
+  }
+
+  // Reserve a free timestamp id in `running` before returning, so a
+  // concurrent launch cannot pick it too
+  async _reserveJobId(entry) {
+    const jobId = await TranslationRunner.freeJobId(this.outputRoot, (id) =>
+      this.running.has(id)
+    );
+    this.running.set(jobId, entry);
+    return jobId;
+  }
+
+  /**
+   * Start a job without waiting for it. `modules` and `locales` narrow the
+   * run to module folder names / target folder codes; `resumeJobId` resumes
+   * an earlier job instead of creating a new one.
+   */
+  async start({
+    modules,
+    locales,
+    provider,
+    pseudo,
+    resumeJobId,
+    dryRun,
+    charBudget,
+  } = {}) {
+    const entry = {
+      runner: null,
+      startedAt: new Date().toISOString(),
+      error: null,
+      history: [],
+    };
+    let jobId = resumeJobId;
+    if (resumeJobId) {
+      this.jobDir(resumeJobId);
+      if (this.running.has(resumeJobId)) {
+        throw new Error(`Job ${resumeJobId} is already running`);
+      }
+      this.running.set(jobId, entry);
+    } else {
+      jobId = await this._reserveJobId(entry);
+    }
+    let runner;
+    try {
+      runner = new TranslationRunner({
+        ...this.runnerOptions,
+        outputRoot: this.outputRoot,
+        jobId: resumeJobId ? undefined : jobId,
+        resumeJobId,
+        modules,
+        targets: locales?.length ? locales : this.runnerOptions.targets,
+        provider: provider || this.runnerOptions.provider,
+        pseudo: pseudo || this.runnerOptions.pseudo,
+        dryRun: dryRun ?? this.runnerOptions.dryRun,
+        charBudget: charBudget ?? this.runnerOptions.charBudget,
+      });
+    } catch (e) {
+      this.running.delete(jobId);
+      throw e;
+    }
+    entry.runner = runner;
+    runner.events.on("progress", (evt) => {
+      entry.history.push(evt);
+      entry.history.length > HISTORY_LIMIT ? entry.history.shift() : null;
+    });
+    entry.promise = runner
+      .generateBulkTranslations()
+      .catch(async (e) => {
+        entry.error = e.message;
+        logEvent("tr_error", "job_error", e.message, { jobId }, true);
+        // The runner records failures after "running" itself
+        if (runner.manifest?.data.status === "failed") return;
+        // A failing write must not turn into an unhandled rejection
+        try {
+          runner.manifest
+            ? await runner.manifest.setStatus("failed", {
+                error: e.message,
+                finishedAt: new Date().toISOString(),
+              })
+            : null;
+        } catch (writeErr) {
+          logEvent(
+            "tr_error",
+            "manifest_write",
+            `Cannot record failed status: ${writeErr.message}`,
+            { jobId },
+            true
+          );
+        }
+        runner.events.emit("progress", {
+          type: "job_end",
+          jobId,
+          time: Date.now(),
+          status: "failed",
+          error: e.message,
+        });
+      })
+      .finally(() => this.running.delete(jobId));
+    logEvent("tr_job_launch", "launch", `Launched job ${jobId}`, {
+      jobId,
+      modules: runner.modules,
+      targets: runner.targets.map((t) => t.folderCode),
+    });
+    return { jobId, targets: runner.targets.map((t) => t.folderCode) };
+  }
+
+  // Modules with an en.json (what the runner's scanAllModules picks up) and
+  // the locale files each one already has
+  async listModules() {
+    const modules = [];
+    for (const base of await scanI18nBaseDirs(this.i18nBasePref)) {
+      for (const m of await scanModulesWithEnglish(base)) {
+        const files = await fsp.readdir(m.moduleDir);
+        modules.push({
+          moduleName: m.moduleName,
+          baseDir: path.basename(base),
+          locales: files
+            .filter((f) => /^[^.]+\.json$/.test(f))
+            .map((f) => f.slice(0, -".json".length)),
+        });
+      }
+    }
+    return modules;
+  }
+
+  // A job's output file translations/jobs/<jobId>/<module>/<locale>.json
+  async readOutput(jobId, moduleName, locale) {
+    for (const part of [moduleName, locale]) {
+      if (!JOB_ID_REGEX.test(String(part || ""))) {
+        throw new Error(`Invalid path segment: ${part}`);
+      }
+    }
+    const file = path.join(this.jobDir(jobId), moduleName, `${locale}.json`);
+    const data = await readJsonSafe(file);
+    if (!data) throw new Error(`${moduleName}/${locale} not found in ${jobId}`);
+    return data;
+  }
+
+  isRunning(jobId) {
+    return this.running.has(jobId);
+  }
+
+  async list() {
+    if (!(await pathExists(this.outputRoot))) return [];
+    const entries = await fsp.readdir(this.outputRoot, { withFileTypes: true });
+    const jobs = [];
+    for (const e of entries) {
+      if (!e.isDirectory() || !JOB_ID_REGEX.test(e.name)) continue;
+      const manifest = await JobManifest.read(
+        path.join(this.outputRoot, e.name)
+      );
+      if (!manifest) continue;
+      jobs.push({
+        jobId: e.name,
+        status: manifest.status,
+        running: this.isRunning(e.name),
+        createdAt: manifest.createdAt,
+        updatedAt: manifest.updatedAt,
+        finishedAt: manifest.finishedAt || null,
+        targets: manifest.targets,
+        pairs: Object.keys(manifest.pairs || {}).length,
+        summary: JobManifest.summarize(manifest.pairs),
+      });
+    }
+    // Jobs launched a moment ago may not have written a manifest yet
+    for (const [jobId, entry] of this.running) {
+      jobs.some((j) => j.jobId === jobId)
+        ? null
+        : jobs.push({
+            jobId,
+            status: "pending",
+            running: true,
+            createdAt: entry.startedAt,
+            pairs: 0,
+            summary: {},
+          });
+    }
+    return jobs.sort((a, b) => (a.jobId < b.jobId ? 1 : -1));
+  }
+
+  async get(jobId) {
+    const manifest = await JobManifest.read(this.jobDir(jobId));
+    const entry = this.running.get(jobId);
+    if (!manifest && !entry) throw new Error(`Job ${jobId} not found`);
+    return {
+      ...(manifest || {
+        jobId,
+        status: "pending",
+        createdAt: entry.startedAt,
+        pairs: {},
+      }),
+      running: !!entry,
+      error: manifest?.error || entry?.error || null,
+    };
+  }
+
+  async pairs(jobId, { status } = {}) {
+    const job = await this.get(jobId);
+    return Object.entries(job.pairs || {})
+      .map(([pairId, p]) => ({ pairId, ...p }))
+      .filter((p) => !status || p.status === status);
+  }
+
+  /**
+   * Quality issues stored with a job (<module>/<locale>.qa.json per pair),
+   * optionally filtered by severity, check, module or locale.
+   */
+  async quality(jobId, { severity, check, modules, locales } = {}) {
+    const job = await this.get(jobId);
+    const pairs = [];
+    const totals = { errors: 0, warnings: 0 };
+    for (const [pairId, p] of Object.entries(job.pairs || {})) {
+      if (modules?.length && !modules.includes(p.moduleName)) continue;
+      if (locales?.length && !locales.includes(p.targetFolder)) continue;
+      const qa = await readJsonSafe(
+        path.join(this.jobDir(jobId), p.moduleName, `${p.targetFolder}.qa.json`)
+      );
+      if (!qa) continue;
+      const issues = qa.issues.filter(
+        (i) =>
+          (!severity || i.severity === severity) &&
+          (!check || i.check === check)
+      );
+      totals.errors += issues.filter((i) => i.severity === "error").length;
+      totals.warnings += issues.filter((i) => i.severity === "warning").length;
+      pairs.push({
+        pairId,
+        moduleName: p.moduleName,
+        locale: p.targetFolder,
+        errors: qa.errors,
+        warnings: qa.warnings,
+        issues,
+      });
+    }
+    return { jobId, ...totals, pairs };
+  }
+
+  /**
+   * Follow a running job's progress events. Returns null when the job is not
+   * running, otherwise the buffered history and an unsubscribe function.
+   */
+  subscribe(jobId, listener) {
+    const entry = this.running.get(jobId);
+    if (!entry?.runner) return null;
+    entry.runner.events.on("progress", listener);
+    return {
+      history: [...entry.history],
+      unsubscribe: () => entry.runner.events.off("progress", listener),
+    };
+  }
+
+  async cancel(jobId) {
+    this.jobDir(jobId);
+    const entry = this.running.get(jobId);
+    if (!entry) throw new Error(`Job ${jobId} is not running`);
+    await entry.runner.cancel();
+    return { jobId, status: "cancelling" };
+  }
+}
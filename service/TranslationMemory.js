@@ -0,0 +1,115 @@
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { ScyllaDb } from "../utils/index.js";
+
+const BATCH_LIMIT = 25; // Alternator BatchGetItem / BatchWriteItem cap
+const DEFAULT_TABLE = "translation_memory";
+const TABLE_CONFIG_FILE = fileURLToPath(
+  new URL("../configs/ScyllaTables.js", import.meta.url)
+);
+
+function chunk(arr, size) {
+  const out = [];
+  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+  return out;
+}
+
+/**
+ * TranslationMemory - reuse translations of identical source strings across
+ * modules. Entries live in ScyllaDb keyed by
+ * `<sourceLang>#<targetLang>#<sha256(source text)>`.
+ */
+export default class TranslationMemory {
+  constructor({ table, sourceLang, tableConfigFile } = {}) {
+    this.table = table || process.env.TRANSLATION_MEMORY_TABLE || DEFAULT_TABLE;
+    this.sourceLang = sourceLang || "en";
+    this.tableConfigFile = tableConfigFile || TABLE_CONFIG_FILE;
+    this._ready = null;
+  }
+
+  // Registers the table under its configured name (with the
+  // translation_memory keys unless the file defines it), merged into the
+  // table configs already loaded by the process. A failure is not cached, so
+  // the next call tries again.
+  async init() {
+    this._ready =
+      this._ready ||
+      ScyllaDb.readTableConfigs(this.tableConfigFile)
+        .then((configs) => {
+          const cfg = configs[this.table] || configs[DEFAULT_TABLE];
+          if (!cfg) {
+            throw new Error(
+              `No table config for ${this.table} in ${this.tableConfigFile}`
+            );
+          }
+          ScyllaDb.registerTableConfigs({ [this.table]: cfg });
+        })
+        .catch((e) => {
+          this._ready = null;
+          throw e;
+        });
+    return this._ready;
+  }
+
+  static hash(text) {
+    return crypto
+      .createHash("sha256")
+      .update(String(text ?? ""), "utf8")
+      .digest("hex");
+  }
+
+  _id(text, targetLang) {
+    return `${this.sourceLang}#${targetLang}#${TranslationMemory.hash(text)}`;
+  }
+
+  // lines: [{ key, text }] -> { [key]: translatedText } for every hit
+  async lookup(lines, targetLang) {
+    await this.init();
+    const ids = [
+      ...new Set(lines.map(({ text }) => this._id(text, targetLang))),
+    ];
+    const byId = {};
+    for (const part of chunk(ids, BATCH_LIMIT)) {
+      const items = await ScyllaDb.batchGetItem(
+        this.table,
+        part.map((id) => ({ id }))
+      );
+      for (const it of items) {
+        if (it && typeof it.translatedText === "string")
+          byId[it.id] = it.translatedText;
+      }
+    }
+    const hits = {};
+    for (const { key, text } of lines) {
+      const id = this._id(text, targetLang);
+      if (Object.prototype.hasOwnProperty.call(byId, id)) hits[key] = byId[id];
+    }
+    return hits;
+  }
+
+  // entries: [{ text, translation }]; duplicates collapse to one item
+  async store(entries, targetLang) {
+    await this.init();
+    const items = {};
+    for (const { text, translation } of entries) {
+      if (typeof translation !== "string") continue;
+      const id = this._id(text, targetLang);
+      items[id] = {
+        id,
+        sourceHash: TranslationMemory.hash(text),
+        sourceLang: this.sourceLang,
+        targetLang,
+        sourceText: String(text ?? ""),
+        translatedText: translation,
+        updatedAt: Date.now(),
+      };
+    }
+    const results = { inserted: 0, failed: 0 };
+    for (const part of chunk(Object.values(items), BATCH_LIMIT)) {
+      const r = await ScyllaDb.batchWriteItem(this.table, part);
+      results.inserted += r.inserted.length;
+      results.failed += r.failed.length;
+    }
+    return results;
+  }
+}
@@ -0,0 +1,284 @@
+import path from "path";
+import fsp from "fs/promises";
+import { logEvent } from "../utils/index.js";
+import LocaleRegistry from "./LocaleRegistry.js";
+import KeyStatus from "./KeyStatus.js";
+import { PseudoTranslateProvider } from "./providers/index.js";
+import {
+  flattenJson,
+  unflattenJson,
+  pathExists,
+  ensureDir,
+  hashText,
+  readJsonSafe,
+  writeJsonAtomic,
+  scanI18nBaseDirs,
+} from "./I18nHelpers.js";
+
+const JOB_ID_REGEX = /^[\w-]+$/;
+// Job states whose completed pairs may be promoted
+const PROMOTABLE = ["completed", "completed_with_errors"];
+
+function diffFlat(current, next) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+  for (const [key, val] of Object.entries(next)) {
+    if (!Object.prototype.hasOwnProperty.call(current, key)) added.push(key);
+    else if (current[key] !== val)
+      changed.push({ key, from: current[key], to: val });
+  }
+  for (const key of Object.keys(current))
+    Object.prototype.hasOwnProperty.call(next, key) ? null : removed.push(key);
+  return { added, removed, changed };
+}
+
+/**
+ * TranslationPromoter - moves a finished job's locale files
+ * (translations/jobs/<job>/<module>/<locale>.json) into i18n/<module>/.
+ * Every overwritten file is first copied to translations/backups/<ts>/.
+ * Keys approved or locked in i18n keep their i18n value and status while
+ * their English source is unchanged, unless the job carries a newer approval
+ * of its own.
+ */
+export default class TranslationPromoter {
+  constructor(opts = {}) {
+    this.outputRoot =
+      process.env.TRANSLATION_OUTPUT_ROOT ||
+      opts.outputRoot ||
+      path.join("translations", "jobs");
+    this.backupRoot =
+      process.env.TRANSLATION_BACKUP_ROOT ||
+      opts.backupRoot ||
+      path.join("translations", "backups");
+    this.i18nBasePref = process.env.I18N_BASE_DIR || opts.i18nBaseDir || null;
+    this.locales = opts.localeRegistry || LocaleRegistry.load();
+  }
+
+  jobDir(jobId) {
+    if (!JOB_ID_REGEX.test(String(jobId || ""))) {
+      throw new Error(`Invalid job id: ${jobId}`);
+    }
+    return path.join(this.outputRoot, jobId);
+  }
+
+  // Target folder codes a job may contain (registry targets + pseudo locales)
+  knownLocales() {
+    return new Set([
+      ...this.locales.targets.map((t) => t.folderCode),
+      ...Object.keys(PseudoTranslateProvider.LOCALES),
+    ]);
+  }
+
+  async i18nModuleDir(moduleName) {
+    const baseDirs = await scanI18nBaseDirs(this.i18nBasePref);
+    if (!baseDirs.length) throw new Error(`No i18n/18n base directory found`);
+    for (const base of baseDirs) {
+      const dir = path.join(base, moduleName);
+      if (await pathExists(dir)) return dir;
+    }
+    return path.join(baseDirs[0], moduleName);
+  }
+
+  // Lists every <module>/<locale>.json in the job, ignoring sidecar files
+  async listJobFiles(jobId) {
+    const dir = this.jobDir(jobId);
+    if (!(await pathExists(dir))) throw new Error(`Job not found: ${jobId}`);
+    const known = this.knownLocales();
+    const out = [];
+    const modules = await fsp.readdir(dir, { withFileTypes: true });
+    for (const mod of modules) {
+      if (!mod.isDirectory()) continue;
+      const files = await fsp.readdir(path.join(dir, mod.name));
+      for (const file of files) {
+        const m = /^([^.]+)\.json$/.exec(file);
+        if (!m || !known.has(m[1])) continue;
+        out.push({
+          moduleName: mod.name,
+          locale: m[1],
+          jobFile: path.join(dir, mod.name, file),
+        });
+      }
+    }
+    return out;
+  }
+
+  /**
+   * The job file as it would be promoted: approved/locked i18n keys keep
+   * their value and status entry (`kept`) while their English source is
+   * unchanged, unless the job's own entry for the key is protected and newer.
+   * If the source changed, the job's value wins and is flagged needs_review
+   * with the i18n value as `previous` (`reReview`).
+   */
+  async _merged(jobFile, targetFile) {
+    const next = await readJsonSafe(jobFile);
+    if (!next) throw new Error(`Cannot read or parse ${jobFile}`);
+    const current = await readJsonSafe(targetFile);
+    const currentFlat = current ? flattenJson(current) : {};
+    const source = await readJsonSafe(
+      path.join(
+        path.dirname(targetFile),
+        `${this.locales.source.folderCode}.json`
+      )
+    );
+    const sourceFlat = source ? flattenJson(source) : {};
+    const flat = flattenJson(next);
+    const jobStatus = await KeyStatus.load(jobFile);
+    const i18nStatus = await KeyStatus.load(targetFile);
+    const kept = [];
+    const reReview = [];
+    for (const [key, entry] of Object.entries(i18nStatus.entries)) {
+      if (!KeyStatus.isProtected(entry)) continue;
+      if (!Object.prototype.hasOwnProperty.call(currentFlat, key)) continue;
+      if (!Object.prototype.hasOwnProperty.call(flat, key)) continue;
+      const own = jobStatus.get(key);
+      if (
+        KeyStatus.isProtected(own) &&
+        String(own.updatedAt) > String(entry.updatedAt)
+      )
+        continue;
+      const sourceHash = hashText(sourceFlat[key]);
+      if (entry.sourceHash !== sourceHash) {
+        own?.status === "needs_review"
+          ? null
+          : (jobStatus.entries[key] = {
+              ...(own || {}),
+              status: "needs_review",
+              sourceHash,
+              previous: currentFlat[key],
+              previousStatus: entry.status,
+              updatedAt: new Date().toISOString(),
+            });
+        reReview.push(key);
+        continue;
+      }
+      const same =
+        flat[key] === currentFlat[key] &&
+        JSON.stringify(own) === JSON.stringify(entry);
+      if (same) continue;
+      flat[key] = currentFlat[key];
+      jobStatus.entries[key] = entry;
+      kept.push(key);
+    }
+    return {
+      data: kept.length ? unflattenJson(flat) : next,
+      flat,
+      currentFlat,
+      exists: !!current,
+      statuses: jobStatus.entries,
+      kept,
+      reReview,
+    };
+  }
+
+  async diffJob(jobId) {
+    const files = await this.listJobFiles(jobId);
+    const result = [];
+    for (const f of files) {
+      const targetFile = path.join(
+        await this.i18nModuleDir(f.moduleName),
+        `${f.locale}.json`
+      );
+      const { flat, currentFlat, exists, kept, reReview } = await this._merged(
+        f.jobFile,
+        targetFile
+      );
+      const diff = diffFlat(currentFlat, flat);
+      const status = !exists
+        ? "new"
+        : diff.added.length || diff.removed.length || diff.changed.length
+        ? "changed"
+        : "unchanged";
+      result.push({ ...f, targetFile, status, ...diff, kept, reReview });
+    }
+    logEvent("tr_promote_diff", "diff", `Diffed job ${jobId}`, {
+      jobId,
+      files: result.map((r) => `${r.moduleName}/${r.locale}: ${r.status}`),
+    });
+    return result;
+  }
+
+  /**
+   * Promote a job. `accept` is a list of "<module>/<locale>" pairs; when
+   * omitted every new or changed file is promoted. Only jobs that finished
+   * (completed, possibly with failed pairs) can be promoted, and only their
+   * completed pairs.
+   */
+  async promote(jobId, { accept = null } = {}) {
+    const manifest = await readJsonSafe(
+      path.join(this.jobDir(jobId), "manifest.json")
+    );
+    if (!manifest) throw new Error(`Job ${jobId} has no manifest`);
+    if (!PROMOTABLE.includes(manifest.status)) {
+      throw new Error(
+        `Job ${jobId} is ${manifest.status}; only completed jobs can be promoted`
+      );
+    }
+    const diffs = await this.diffJob(jobId);
+    const wanted = Array.isArray(accept) ? new Set(accept) : null;
+    const backupDir = path.join(this.backupRoot, `${jobId}_${Date.now()}`);
+    const promoted = [];
+    const skipped = [];
+
+    for (const d of diffs) {
+      const pair = `${d.moduleName}/${d.locale}`;
+      const selected = wanted ? wanted.has(pair) : d.status !== "unchanged";
+      if (!selected || d.status === "unchanged") {
+        skipped.push({ pair, status: d.status });
+        continue;
+      }
+      const pairStatus = manifest.pairs?.[pair]?.status;
+      if (pairStatus !== "completed") {
+        skipped.push({
+          pair,
+          status: d.status,
+          pairStatus: pairStatus || null,
+        });
+        continue;
+      }
+      const merged = await this._merged(d.jobFile, d.targetFile);
+      let backup = null;
+      if (await pathExists(d.targetFile)) {
+        backup = path.join(backupDir, d.moduleName, `${d.locale}.json`);
+        await ensureDir(path.dirname(backup));
+        await fsp.copyFile(d.targetFile, backup);
+      }
+      await writeJsonAtomic(d.targetFile, merged.data);
+      // Review statuses travel with the locale file
+      const statusFile = KeyStatus.fileFor(d.jobFile);
+      if (
+        (await pathExists(statusFile)) ||
+        merged.kept.length ||
+        merged.reReview.length
+      ) {
+        const targetStatus = KeyStatus.fileFor(d.targetFile);
+        backup && (await pathExists(targetStatus))
+          ? await fsp.copyFile(targetStatus, KeyStatus.fileFor(backup))
+          : null;
+        await writeJsonAtomic(targetStatus, merged.statuses);
+      }
+      promoted.push({
+        pair,
+        status: d.status,
+        targetFile: d.targetFile,
+        backup,
+        kept: merged.kept,
+        reReview: merged.reReview,
+      });
+      logEvent("tr_promote_write", "promote", `Promoted ${pair}`, {
+        jobId,
+        targetFile: d.targetFile,
+        backup,
+        kept: merged.kept,
+        reReview: merged.reReview,
+      });
+    }
+
+    logEvent("tr_promote_end", "promote", `Promotion of ${jobId} complete`, {
+      jobId,
+      promoted: promoted.length,
+      skipped: skipped.length,
+    });
+    return { jobId, promoted, skipped };
+  }
+}
@@ -0,0 +1,349 @@
+import path from "path";
+import fsp from "fs/promises";
+import { logEvent } from "../utils/index.js";
+import TranslationPromoter from "./TranslationPromoter.js";
+import KeyStatus from "./KeyStatus.js";
+import QualityChecker from "./QualityChecker.js";
+import { PseudoTranslateProvider } from "./providers/index.js";
+import {
+  flattenJson,
+  unflattenJson,
+  isTranslatable,
+  hashText,
+  validateKeyAndPlaceholderParity,
+  pathExists,
+  ensureDir,
+  readJsonSafe,
+  writeJsonAtomic,
+} from "./I18nHelpers.js";
+
+const SEGMENT_REGEX = /^[\w-]+$/;
+const has = (obj, key) => Object.prototype.hasOwnProperty.call(obj, key);
+const valueAt = (flat, key) => (has(flat, key) ? flat[key] : null);
+
+/**
+ * TranslationReview - side-by-side view of one module/locale (English source
+ * vs. translation per flattened key, with parity and quality issues) and saving reviewer
+ * edits back into a job's output or into i18n/<module>/<locale>.json.
+ */
+export default class TranslationReview {
+  constructor(opts = {}) {
+    this.promoter = opts.promoter || new TranslationPromoter(opts);
+    this.quality = opts.quality || QualityChecker.load();
+  }
+
+  // Source/target language codes (AWS codes) for exchange-file headers
+  languages(locale) {
+    const { locales } = this.promoter;
+    const target =
+      locales.get(locale) || PseudoTranslateProvider.LOCALES[locale] || null;
+    return {
+      sourceLang: locales.source.awsCode,
+      targetLang: target ? target.awsCode : locale,
+    };
+  }
+
+  // Source and target files; the target lives in the job when jobId is set
+  async _files({ jobId, moduleName, locale }) {
+    if (!SEGMENT_REGEX.test(String(moduleName || ""))) {
+      throw new Error(`Invalid module: ${moduleName}`);
+    }
+    if (!this.promoter.knownLocales().has(locale)) {
+      throw new Error(`Unknown target locale: ${locale}`);
+    }
+    const moduleDir = await this.promoter.i18nModuleDir(moduleName);
+    const sourceFile = path.join(
+      moduleDir,
+      `${this.promoter.locales.source.folderCode}.json`
+    );
+    const targetFile = jobId
+      ? path.join(this.promoter.jobDir(jobId), moduleName, `${locale}.json`)
+      : path.join(moduleDir, `${locale}.json`);
+    return { sourceFile, targetFile, location: jobId ? "job" : "i18n" };
+  }
+
+  async _read(files) {
+    const source = await readJsonSafe(files.sourceFile);
+    if (!source) throw new Error(`Source file not found: ${files.sourceFile}`);
+    const target = await readJsonSafe(files.targetFile);
+    return {
+      sourceFlat: flattenJson(source),
+      targetFlat: target ? flattenJson(target) : {},
+      exists: !!target,
+    };
+  }
+
+  /**
+   * Rows for every source key (plus keys only present in the target), each
+   * with the issues validateKeyAndPlaceholderParity reports for it and the
+   * QualityChecker issues ({ type, severity, message, ... }).
+   */
+  async load({ jobId = null, moduleName, locale }) {
+    const files = await this._files({ jobId, moduleName, locale });
+    const { sourceFlat, targetFlat, exists } = await this._read(files);
+    const statuses = await KeyStatus.load(files.targetFile);
+    const { ok, errors } = validateKeyAndPlaceholderParity({
+      sourceFlat,
+      targetFlat,
+    });
+
+    const issues = {};
+    const add = (key, issue) => (issues[key] = issues[key] || []).push(issue);
+    for (const err of errors) {
+      if (err.type === "placeholder_mismatch") {
+        for (const { key, missingPH, extraPH } of err.items)
+          add(key, { type: err.type, missingPH, extraPH });
+      } else {
+        for (const key of err.keys) add(key, { type: err.type });
+      }
+    }
+    const quality = this.quality.check({ sourceFlat, targetFlat, locale });
+    for (const { check, key, ...issue } of quality.issues)
+      add(key, { type: check, ...issue });
+
+    const keys = [
+      ...Object.keys(sourceFlat),
+      ...Object.keys(targetFlat).filter((k) => !has(sourceFlat, k)),
+    ];
+    const rows = keys.map((key) => {
+      const entry = statuses.get(key);
+      return {
+        key,
+        source: valueAt(sourceFlat, key),
+        target: valueAt(targetFlat, key),
+        editable: isTranslatable(valueAt(sourceFlat, key)),
+        status: entry ? entry.status : null,
+        previous: entry?.previous ?? null,
+        comment: entry?.comment ?? null,
+        issues: issues[key] || [],
+      };
+    });
+    return {
+      jobId,
+      moduleName,
+      locale,
+      location: files.location,
+      file: files.targetFile,
+      exists,
+      ok,
+      errors,
+      quality: { errors: quality.errors, warnings: quality.warnings },
+      rows,
+    };
+  }
+
+  /**
+   * Check units imported from an exchange format (XLIFF, PO, ...) and save
+   * the accepted ones. Units are { key, target, markup?, comment? };
+   * `statusFor(unit, row, edited)` returns the key's new status or null to
+   * keep it. Units are rejected for unknown keys, inline markup, a missing
+   * target, changes to locked keys, or failed placeholder/ICU parity.
+   */
+  async importUnits({
+    jobId = null,
+    moduleName,
+    locale,
+    units,
+    statusFor,
+    dryRun = false,
+  }) {
+    const current = await this.load({ jobId, moduleName, locale });
+    const rows = Object.fromEntries(current.rows.map((r) => [r.key, r]));
+    const edits = {};
+    const statuses = {};
+    const comments = {};
+    const rejected = [];
+    const reject = (unit, reason, details) =>
+      rejected.push({ key: unit.key, reason, ...(details ? { details } : {}) });
+
+    for (const unit of units) {
+      const row = has(rows, unit.key) ? rows[unit.key] : null;
+      if (!row || !row.editable) {
+        reject(unit, "unknown_key");
+        continue;
+      }
+      if (unit.markup) {
+        reject(unit, "inline_markup");
+        continue;
+      }
+      if (unit.target === null || unit.target === "") {
+        reject(unit, "missing_target");
+        continue;
+      }
+      const edited = unit.target !== row.target;
+      const status = statusFor(unit, row, edited);
+      const statusChanged = !!status && status !== row.status;
+      const commentChanged =
+        unit.comment !== undefined && unit.comment !== (row.comment ?? "");
+      if (row.status === "locked") {
+        edited || statusChanged || commentChanged
+          ? reject(unit, "locked")
+          : null;
+        continue;
+      }
+      const { ok, errors } = validateKeyAndPlaceholderParity({
+        sourceFlat: { [unit.key]: row.source },
+        targetFlat: { [unit.key]: unit.target },
+      });
+      if (!ok) {
+        reject(unit, "validation", errors);
+        continue;
+      }
+      edited ? (edits[unit.key] = unit.target) : null;
+      statusChanged ? (statuses[unit.key] = status) : null;
+      commentChanged ? (comments[unit.key] = unit.comment) : null;
+    }
+
+    const accepted = [
+      ...new Set([
+        ...Object.keys(edits),
+        ...Object.keys(statuses),
+        ...Object.keys(comments),
+      ]),
+    ];
+    const report = {
+      jobId,
+      moduleName,
+      locale,
+      dryRun,
+      units: units.length,
+      accepted,
+      unchanged: units.length - accepted.length - rejected.length,
+      rejected,
+    };
+    if (!dryRun && accepted.length) {
+      const saved = await this.save({
+        jobId,
+        moduleName,
+        locale,
+        edits,
+        statuses,
+        comments,
+      });
+      report.file = saved.file;
+      report.backup = saved.backup;
+    }
+    return report;
+  }
+
+  /**
+   * Apply `edits` ({ flattenedKey: text }), `statuses` ({ flattenedKey:
+   * status }) and translator `comments` and write the file and its status
+   * sidecar atomically. Edited keys become "reviewed" unless a status is
+   * given; locked keys must be unlocked in the same request, and edits must
+   * keep placeholder/ICU parity. An i18n file is backed up first, like a
+   * promotion.
+   */
+  async save({
+    jobId = null,
+    moduleName,
+    locale,
+    edits = {},
+    statuses = {},
+    comments = {},
+  }) {
+    const files = await this._files({ jobId, moduleName, locale });
+    const { sourceFlat, targetFlat, exists } = await this._read(files);
+    const keyStatus = await KeyStatus.load(files.targetFile);
+
+    const rejected = Object.entries(edits)
+      .filter(
+        ([key, val]) =>
+          !isTranslatable(valueAt(sourceFlat, key)) ||
+          typeof val !== "string" ||
+          (keyStatus.get(key)?.status === "locked" &&
+            (statuses[key] || "locked") === "locked")
+      )
+      .map(([key]) => key)
+      .concat(
+        Object.entries(statuses)
+          .filter(
+            ([key, status]) =>
+              !isTranslatable(valueAt(sourceFlat, key)) ||
+              !KeyStatus.STATUSES.includes(status)
+          )
+          .map(([key]) => key)
+      )
+      .concat(
+        Object.entries(comments)
+          .filter(
+            ([key, comment]) =>
+              !isTranslatable(valueAt(sourceFlat, key)) ||
+              typeof comment !== "string"
+          )
+          .map(([key]) => key)
+      );
+    if (rejected.length) {
+      throw new Error(
+        `Cannot edit key(s): ${[...new Set(rejected)].join(", ")}`
+      );
+    }
+    const { ok, errors } = validateKeyAndPlaceholderParity({
+      sourceFlat: Object.fromEntries(
+        Object.keys(edits).map((key) => [key, sourceFlat[key]])
+      ),
+      targetFlat: edits,
+    });
+    if (!ok) {
+      throw new Error(
+        `Edits fail placeholder/ICU parity: ${JSON.stringify(errors)}`
+      );
+    }
+
+    const next = { ...targetFlat, ...edits };
+    // Keep source key order; keys only in the target stay at the end
+    const ordered = {};
+    for (const key of Object.keys(sourceFlat))
+      has(next, key) ? (ordered[key] = next[key]) : null;
+    for (const key of Object.keys(next))
+      has(ordered, key) ? null : (ordered[key] = next[key]);
+
+    const changed = { ...statuses };
+    for (const key of Object.keys(edits))
+      has(changed, key) ? null : (changed[key] = "reviewed");
+    for (const [key, status] of Object.entries(changed))
+      keyStatus.set(key, status, { sourceHash: hashText(sourceFlat[key]) });
+    for (const [key, comment] of Object.entries(comments)) {
+      keyStatus.get(key)
+        ? null
+        : keyStatus.set(key, "machine", {
+            sourceHash: hashText(sourceFlat[key]),
+          });
+      keyStatus.setComment(key, comment);
+    }
+
+    let backup = null;
+    if (!jobId && exists) {
+      backup = path.join(
+        this.promoter.backupRoot,
+        `review_${Date.now()}`,
+        moduleName,
+        `${locale}.json`
+      );
+      await ensureDir(path.dirname(backup));
+      await fsp.copyFile(files.targetFile, backup);
+      (await pathExists(keyStatus.file))
+        ? await fsp.copyFile(keyStatus.file, KeyStatus.fileFor(backup))
+        : null;
+    }
+    if (jobId && !(await pathExists(path.dirname(files.targetFile)))) {
+      throw new Error(`Module ${moduleName} not found in job ${jobId}`);
+    }
+    await writeJsonAtomic(files.targetFile, unflattenJson(ordered));
+    await keyStatus.save();
+    logEvent("tr_review_save", "review", `Saved ${moduleName}/${locale}`, {
+      jobId,
+      file: files.targetFile,
+      keys: Object.keys(edits),
+      statuses: changed,
+      comments: Object.keys(comments),
+      backup,
+    });
+    return {
+      ...(await this.load({ jobId, moduleName, locale })),
+      saved: Object.keys(edits),
+      statuses: changed,
+      backup,
+    };
+  }
+}
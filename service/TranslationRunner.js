@@ -1,166 +1,68 @@
-import { Logger } from "../utils/index.js";
-import AwsTranslateAndS3 from "./AwsTranslateAndS3.js";
-import AwsS3 from "./AwsS3.js";
+import { Logger, logEvent } from "../utils/index.js";
+import { createProvider, PseudoTranslateProvider } from "./providers/index.js";
+import TranslationMemory from "./TranslationMemory.js";
+import LocaleRegistry from "./LocaleRegistry.js";
+import JobManifest from "./JobManifest.js";
+import KeyStatus from "./KeyStatus.js";
+import { buildPo } from "./GettextConverter.js";
+import MobileExporter from "./MobileExporter.js";
+import SourceLinter from "./SourceLinter.js";
+import QualityChecker from "./QualityChecker.js";
+import { mapWithConcurrency, AdaptiveThrottle } from "./Concurrency.js";
+import { maskLines, unmaskFlat } from "./PlaceholderMask.js";
+import {
+  parse as parseIcu,
+  isComplexMessage,
+  expandForLocale,
+  splitUnits,
+  unitHasText,
+  assembleUnits,
+} from "./IcuMessage.js";
+import {
+  flattenJson,
+  unflattenJson,
+  isTranslatable,
+  hashFlat,
+  validateKeyAndPlaceholderParity,
+  pathExists,
+  ensureDir,
+  readJsonSafe,
+  writeJsonPretty,
+  findPreviousJobOutput,
+  scanI18nBaseDirs,
+  scanModulesWithEnglish,
+} from "./I18nHelpers.js";
 import path from "path";
 import fsp from "fs/promises";
+import { EventEmitter } from "events";
 
-const PLACEHOLDER_REGEX = /\{([^}]+)\}/g;
-
-const LOCALES = {
-  source: { folderCode: "en", awsCode: "en", name: "English" },
-  targets: [
-    {
-      folderCode: "ph",
-      awsCode: "tl",
-      name: "Filipino (Tagalog, Philippines)",
-    },
-    // { folderCode: "vi", awsCode: "vi", name: "Vietnamese" },
-    // { folderCode: "es", awsCode: "es", name: "Spanish" },
-    // { folderCode: "fr", awsCode: "fr", name: "French" },
-    // { folderCode: "de", awsCode: "de", name: "German" },
-    // { folderCode: "it", awsCode: "it", name: "Italian" },
-    // { folderCode: "pt", awsCode: "pt", name: "Portuguese" },
-    // { folderCode: "ru", awsCode: "ru", name: "Russian" },
-    // { folderCode: "zh", awsCode: "zh", name: "Chinese (Simplified)" },
-    // { folderCode: "zh-tw", awsCode: "zh-TW", name: "Chinese (Traditional)" },
-    // { folderCode: "ja", awsCode: "ja", name: "Japanese" },
-    // { folderCode: "ko", awsCode: "ko", name: "Korean" },
-    // { folderCode: "ar", awsCode: "ar", name: "Arabic" },
-    // { folderCode: "hi", awsCode: "hi", name: "Hindi" },
-    // { folderCode: "bn", awsCode: "bn", name: "Bengali" },
-    // { folderCode: "ur", awsCode: "ur", name: "Urdu" },
-    // { folderCode: "tr", awsCode: "tr", name: "Turkish" },
-    // { folderCode: "th", awsCode: "th", name: "Thai" },
-    // { folderCode: "id", awsCode: "id", name: "Indonesian" },
-    // { folderCode: "ms", awsCode: "ms", name: "Malay" },
-  ],
+// What a pair does when keys fail validation
+const ON_INVALID = ["fail", "fallback"];
+// Quality checks pseudo output trips by design: it ends in "~]", is padded
+// past length limits and, without accents and brackets, equals the source
+const PSEUDO_QA_OFF = {
+  punctuation: "off",
+  untranslated: "off",
+  max_length: "off",
 };
 
-function flattenJson(obj, prefix = "", out = {}) {
-  if (obj == null || typeof obj !== "object") return out;
-  for (const [k, v] of Object.entries(obj)) {
-    const key = prefix ? `${prefix}.${k}` : k;
-    if (v != null && typeof v === "object" && !Array.isArray(v)) {
-      flattenJson(v, key, out);
-    } else {
-      out[key] = v;
-    }
-  }
-  return out;
-}
-function unflattenJson(flat) {
-  const root = {};
-  for (const [k, v] of Object.entries(flat)) {
-    const parts = k.split(".");
-    let cur = root;
-    for (let i = 0; i < parts.length; i++) {
-      const part = parts[i];
-      const isLeaf = i === parts.length - 1;
-      if (!Object.prototype.hasOwnProperty.call(cur, part)) {
-        cur[part] = isLeaf ? v : {};
-      } else if (isLeaf) {
-        cur[part] = v;
-      }
-      cur = cur[part];
-    }
-  }
-  return root;
-}
-function extractPlaceholders(str) {
-  if (typeof str !== "string") return new Set();
-  const set = new Set();
-  let m;
-  while ((m = PLACEHOLDER_REGEX.exec(str))) set.add(m[1]);
-  return set;
-}
-function validateKeyAndPlaceholderParity({ sourceFlat, targetFlat }) {
-  const errors = [];
-  const missing = [];
-  const extra = [];
-  for (const key of Object.keys(sourceFlat))
-    Object.prototype.hasOwnProperty.call(targetFlat, key)
-      ? null
-      : missing.push(key);
-  for (const key of Object.keys(targetFlat))
-    Object.prototype.hasOwnProperty.call(sourceFlat, key)
-      ? null
-      : extra.push(key);
-  const placeholderDiffs = [];
-  for (const key of Object.keys(sourceFlat)) {
-    const srcPH = extractPlaceholders(sourceFlat[key]);
-    const tgtPH = extractPlaceholders(targetFlat[key]);
-    const missingPH = [...srcPH].filter((p) => !tgtPH.has(p));
-    const extraPH = [...tgtPH].filter((p) => !srcPH.has(p));
-    missingPH.length || extraPH.length
-      ? placeholderDiffs.push({ key, missingPH, extraPH })
-      : null;
-  }
-  missing.length ? errors.push({ type: "missing_keys", keys: missing }) : null;
-  extra.length ? errors.push({ type: "extra_keys", keys: extra }) : null;
-  placeholderDiffs.length
-    ? errors.push({ type: "placeholder_mismatch", items: placeholderDiffs })
-    : null;
-  return { ok: errors.length === 0, errors };
-}
-
-async function pathExists(p) {
-  try {
-    await fsp.access(p);
-    return true;
-  } catch {
-    return false;
-  }
-}
-async function ensureDir(p) {
-  (await pathExists(p)) ? null : await fsp.mkdir(p, { recursive: true });
-}
-async function readJsonSafe(file) {
-  const ok = await pathExists(file);
-  if (!ok) return null;
-  const raw = await fsp.readFile(file, "utf8");
-  try {
-    return JSON.parse(raw);
-  } catch {
-    return null;
-  }
-}
-async function writeJsonPretty(file, data) {
-  await ensureDir(path.dirname(file));
-  const content = JSON.stringify(data, null, 2);
-  await fsp.writeFile(file, content, "utf8");
-}
-async function scanI18nBaseDirs(explicitBaseDir) {
-  const candidates = [];
-  explicitBaseDir ? candidates.push(explicitBaseDir) : null;
-  candidates.push(path.join(process.cwd(), "i18n"));
-  candidates.push(path.join(process.cwd(), "18n"));
-  const existing = [];
-  for (const d of candidates) (await pathExists(d)) ? existing.push(d) : null;
-  return [...new Set(existing)];
-}
-async function scanModulesWithEnglish(baseDir) {
-  const results = [];
-  const entries = await fsp.readdir(baseDir, { withFileTypes: true });
-  for (const ent of entries) {
-    if (!ent.isDirectory()) continue;
-    const moduleDir = path.join(baseDir, ent.name);
-    const enFile = path.join(moduleDir, "en.json");
-    (await pathExists(enFile))
-      ? results.push({
-          baseDir,
-          moduleName: ent.name,
-          moduleDir,
-          sourceFile: enFile,
-        })
-      : null;
-  }
-  return results;
-}
-
 export default class TranslationRunner {
   constructor(opts = {}) {
     this.now = new Date();
-    this.tsFolder = this._ts(this.now);
+    // Structured progress events for live subscribers (see _emit)
+    this.events = new EventEmitter();
+    this.events.setMaxListeners(0);
+    this.resumeJobId =
+      opts.resumeJobId || process.env.TRANSLATION_RESUME_JOB || null;
+    for (const id of [this.resumeJobId, opts.jobId]) {
+      if (id && !/^[\w-]+$/.test(id)) throw new Error(`Invalid job id: ${id}`);
+    }
+    // A resumed job keeps its folder so S3 prefixes and outputs line up; a
+    // generated id may still get a suffix in ensureJobDir
+    this.tsFolder = this.resumeJobId || opts.jobId || this._ts(this.now);
+    this.generatedId = !this.resumeJobId && !opts.jobId;
+    this.manifest = null;
+    this.cancelRequested = false;
 
     this.region = opts.region || process.env.REGION || "us-east-1";
     this.i18nBasePref = process.env.I18N_BASE_DIR || opts.i18nBaseDir || null;
@@ -180,18 +82,182 @@ export default class TranslationRunner {
       String(process.env.TRANSLATE_SYNC_FALLBACK || "").trim() === "1"
         ? true
         : !!opts.forceSync;
+    this.incremental =
+      String(process.env.TRANSLATE_INCREMENTAL || "").trim() === "0"
+        ? false
+        : opts.incremental !== false;
+    this.pairConcurrency = Math.max(
+      1,
+      parseInt(
+        process.env.TRANSLATE_PAIR_CONCURRENCY || opts.pairConcurrency || 2,
+        10
+      ) || 1
+    );
+    this.stringConcurrency = Math.max(
+      1,
+      parseInt(
+        process.env.TRANSLATE_STRING_CONCURRENCY || opts.stringConcurrency || 5,
+        10
+      ) || 1
+    );
+    this.throttle = new AdaptiveThrottle({
+      baseMs: opts.throttleBaseMs,
+      maxMs: opts.throttleMaxMs,
+      onThrottle: ({ attempt, delayMs, err }) =>
+        this._log(
+          "tr_throttle",
+          "backoff",
+          `AWS throttled; retry ${attempt} after ${delayMs}ms`,
+          { attempt, delayMs, error: err.message }
+        ),
+    });
+    this.maskPlaceholders =
+      String(process.env.TRANSLATE_MASK || "").trim() === "0"
+        ? false
+        : opts.maskPlaceholders !== false;
+    this.icu =
+      String(process.env.TRANSLATE_ICU || "").trim() === "0"
+        ? false
+        : opts.icu !== false;
+    this.useMemory =
+      String(process.env.TRANSLATION_MEMORY || "").trim() === "1"
+        ? true
+        : !!opts.translationMemory;
+    // Also write <module>.pot and <locale>.po next to the JSON output
+    this.gettext =
+      String(process.env.TRANSLATE_GETTEXT || "").trim() === "1"
+        ? true
+        : !!opts.gettext;
+    // English strings are linted before translation (TRANSLATE_LINT=0 to skip)
+    this.lint =
+      String(process.env.TRANSLATE_LINT || "").trim() === "0" ||
+      opts.lint === false
+        ? null
+        : new SourceLinter(opts.lint || {});
+    this.lintResults = {};
+    // "fail" writes nothing for a pair with invalid keys; "fallback" writes
+    // the valid keys, falls back to the previous translation or the source
+    // for the rest and lists them in <locale>.rejected.json
+    this.onInvalid = String(
+      process.env.TRANSLATE_ON_INVALID || opts.onInvalid || "fail"
+    ).trim();
+    if (!ON_INVALID.includes(this.onInvalid)) {
+      throw new Error(
+        `Invalid onInvalid policy: ${this.onInvalid} (${ON_INVALID.join("/")})`
+      );
+    }
+    // Characters are estimated before any pair runs when this is a dry run
+    // (nothing is translated) or a per-job character budget is set; pricing
+    // is per million characters (AWS Translate standard: 15 USD)
+    this.dryRun =
+      String(process.env.TRANSLATE_DRY_RUN || "").trim() === "1"
+        ? true
+        : !!opts.dryRun;
+    this.pricing = {
+      perMillion: Number(
+        process.env.TRANSLATE_PRICE_PER_MILLION ||
+          (opts.pricing?.perMillion ?? 15)
+      ),
+      currency:
+        process.env.TRANSLATE_PRICE_CURRENCY || opts.pricing?.currency || "USD",
+    };
+    const budget = process.env.TRANSLATE_CHAR_BUDGET || opts.charBudget || null;
+    this.charBudget = budget === null ? null : Number(budget);
+    if (
+      !Number.isFinite(this.pricing.perMillion) ||
+      this.pricing.perMillion < 0
+    ) {
+      throw new Error(
+        `Invalid price per million characters: ${this.pricing.perMillion}`
+      );
+    }
+    if (
+      this.charBudget !== null &&
+      !(Number.isInteger(this.charBudget) && this.charBudget > 0)
+    ) {
+      throw new Error(`Invalid character budget: ${budget}`);
+    }
+    // pairId -> planPair result computed by the estimate, reused once
+    this.plans = new Map();
+    // Target quality checks after validation (TRANSLATE_QA=0 to skip);
+    // `opts.quality` is a QualityChecker or QualityChecker.load options
+    this.quality =
+      String(process.env.TRANSLATE_QA || "").trim() === "0" ||
+      opts.quality === false
+        ? null
+        : opts.quality instanceof QualityChecker
+        ? opts.quality
+        : QualityChecker.load(opts.quality || {});
+    // Mobile resources after the write step: "1" for every platform or a
+    // comma list (android,ios)
+    const mobile = process.env.TRANSLATE_MOBILE || opts.mobile || null;
+    this.mobile =
+      mobile === true || String(mobile).trim() === "1"
+        ? new MobileExporter()
+        : mobile
+        ? new MobileExporter({
+            platforms: (Array.isArray(mobile)
+              ? mobile
+              : String(mobile).split(",")
+            )
+              .map((p) => String(p).trim())
+              .filter(Boolean),
+          })
+        : null;
 
-    this.source = LOCALES.source;
-    this.targets = Array.isArray(LOCALES.targets) ? LOCALES.targets : [];
+    this.locales =
+      opts.localeRegistry ||
+      LocaleRegistry.load({
+        locales: opts.locales,
+        file: opts.localesFile,
+        enabled: opts.targets,
+      });
+    this.source = this.locales.source;
+    this.targets = this.locales.enabledTargets();
+    // Optional module filter (module folder names); null means all modules
+    this.modules = opts.modules?.length ? [...opts.modules] : null;
 
-    this.aws = new AwsTranslateAndS3({
-      region: this.region,
-      bucket: this.bucket,
-      s3InputPrefix: this.inPrefix,
-      s3OutputPrefix: this.outPrefix,
-      roleArn: this.roleArn,
-      sourceLang: this.source.awsCode,
-    });
+    // Pseudo-localization replaces the real targets and never calls AWS
+    this.pseudo =
+      String(process.env.TRANSLATE_PSEUDO || "").trim() === "1"
+        ? { ...(opts.pseudo || {}) }
+        : opts.pseudo
+        ? { ...(opts.pseudo === true ? {} : opts.pseudo) }
+        : null;
+    if (this.pseudo) {
+      this.pseudo.rtl =
+        this.pseudo.rtl ?? String(process.env.PSEUDO_RTL || "").trim() === "1";
+      const { LOCALES } = PseudoTranslateProvider;
+      this.targets = [
+        LOCALES["en-XA"],
+        ...(this.pseudo.rtl ? [LOCALES["ar-XB"]] : []),
+      ];
+      this.useMemory = false;
+      this.quality = this.quality?.withSeverities(PSEUDO_QA_OFF) || null;
+    }
+
+    this.provider = createProvider(
+      this.pseudo
+        ? "pseudo"
+        : opts.provider || process.env.TRANSLATION_PROVIDER || "aws",
+      {
+        region: this.region,
+        bucket: this.bucket,
+        s3InputPrefix: this.inPrefix,
+        s3OutputPrefix: this.outPrefix,
+        roleArn: this.roleArn,
+        sourceLang: this.source.awsCode,
+        terminologyNames: opts.terminologyNames,
+        pseudo: this.pseudo,
+        ...(opts.providerOptions || {}),
+      }
+    );
+    this.memory = this.useMemory
+      ? new TranslationMemory({
+          table: opts.translationMemoryTable,
+          sourceLang: this.source.awsCode,
+        })
+      : null;
 
     this._log("tr_runner_start", "init", "Runner init", {
       region: this.region,
@@ -201,6 +267,26 @@ export default class TranslationRunner {
       outPrefix: this.outPrefix,
       roleArn: this.roleArn,
       forceSync: this.forceSync,
+      incremental: this.incremental,
+      translationMemory: this.useMemory,
+      gettext: this.gettext,
+      mobile: this.mobile ? this.mobile.platforms : null,
+      lint: this.lint
+        ? { rules: this.lint.rules, onError: this.lint.onError }
+        : null,
+      quality: this.quality ? this.quality.checks : null,
+      onInvalid: this.onInvalid,
+      dryRun: this.dryRun,
+      pricing: this.pricing,
+      charBudget: this.charBudget,
+      targets: this.targets.map((t) => t.folderCode),
+      modules: this.modules,
+      resumeJobId: this.resumeJobId,
+      pairConcurrency: this.pairConcurrency,
+      stringConcurrency: this.stringConcurrency,
+      maskPlaceholders: this.maskPlaceholders,
+      icu: this.icu,
+      provider: this.provider.name,
     });
 
     // progress tracking
@@ -208,24 +294,46 @@ export default class TranslationRunner {
     this.completedPairs = 0;
   }
 
-  _ts(d) {
+  // Job folder name for `d`, e.g. 2025-01-31_14-05-09
+  static timestampId(d) {
     const pad = (n) => String(n).padStart(2, "0");
     return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(
       d.getDate()
     )}_${pad(d.getHours())}-${pad(d.getMinutes())}-${pad(d.getSeconds())}`;
   }
 
+  _ts(d) {
+    return TranslationRunner.timestampId(d);
+  }
+
+  // Timestamp ids have second resolution; suffix them (-2, -3, ...) while a
+  // job folder or `isTaken` already claims the id
+  static async freeJobId(outputRoot, isTaken = () => false, d = new Date()) {
+    const base = TranslationRunner.timestampId(d);
+    let jobId = base;
+    for (let n = 2; ; n += 1) {
+      const exists = await pathExists(path.join(outputRoot, jobId));
+      if (!exists && !isTaken(jobId)) return jobId;
+      jobId = `${base}-${n}`;
+    }
+  }
+
   _log(flag, action, message, data = {}, critical = false) {
-    const payload = {
-      flag,
-      action,
-      message,
-      critical,
-      data: { ...data, time: Date.now() },
-    };
-    typeof Logger?.writeLog === "function"
-      ? Logger.writeLog(payload)
-      : console.log(payload);
+    logEvent(flag, action, message, data, critical);
+    this._emit("log", { flag, action, message, critical });
+  }
+
+  /**
+   * Publish a progress event on `this.events` ("progress" channel). Types:
+   * job_start, job_end, pair_begin, pair_end, pair_error, step, progress, log.
+   */
+  _emit(type, data = {}) {
+    this.events?.emit("progress", {
+      type,
+      jobId: this.tsFolder,
+      time: Date.now(),
+      ...data,
+    });
   }
 
   async _step({
@@ -238,8 +346,10 @@ export default class TranslationRunner {
     fn,
   }) {
     this._log(startFlag, action, messageStart, data);
+    this._emit("step", { flag: startFlag, phase: "start", action, data });
     const result = await fn();
     this._log(endFlag, action, messageEnd, data);
+    this._emit("step", { flag: endFlag, phase: "end", action, data });
     return result;
   }
 
@@ -254,10 +364,29 @@ export default class TranslationRunner {
       `Global progress: ${this.completedPairs}/${this.totalPairs} (${percent}%)`,
       { percent, ...extra }
     );
+    this._emit("progress", {
+      percent,
+      completed: this.completedPairs,
+      total: this.totalPairs,
+      ...extra,
+    });
   }
 
   async ensureJobDir() {
+    this.generatedId
+      ? (this.tsFolder = await TranslationRunner.freeJobId(
+          this.outputRoot,
+          undefined,
+          this.now
+        ))
+      : null;
+    this.generatedId = false;
     const job = path.join(this.outputRoot, this.tsFolder);
+    if (this.resumeJobId && !(await pathExists(job))) {
+      throw new Error(
+        `Cannot resume job ${this.resumeJobId}: ${job} not found`
+      );
+    }
     await this._step({
       startFlag: "tr_job_dir_start",
       endFlag: "tr_job_dir_end",
@@ -303,6 +432,20 @@ export default class TranslationRunner {
       const mods = await scanModulesWithEnglish(base);
       for (const m of mods) found.push({ ...m, baseDir: base });
     }
+    if (this.modules) {
+      const unknown = this.modules.filter(
+        (name) => !found.some((m) => m.moduleName === name)
+      );
+      unknown.length
+        ? this._log("tr_scan_filter", "scan", "Unknown modules ignored", {
+            unknown,
+          })
+        : null;
+      const filtered = found.filter((m) => this.modules.includes(m.moduleName));
+      if (!filtered.length)
+        throw new Error(`No module matches: ${this.modules.join(", ")}`);
+      found.splice(0, found.length, ...filtered);
+    }
     this._log(
       "tr_scan_found",
       "scan",
@@ -345,6 +488,244 @@ export default class TranslationRunner {
   _localOut(jobDir, moduleName, localeCode) {
     return path.join(jobDir, moduleName, `${localeCode}.json`);
   }
+  _localHashesOut(jobDir, moduleName, localeCode) {
+    return path.join(jobDir, moduleName, `${localeCode}.hashes.json`);
+  }
+  _localQaOut(jobDir, moduleName, localeCode) {
+    return path.join(jobDir, moduleName, `${localeCode}.qa.json`);
+  }
+  _localRejectedOut(jobDir, moduleName, localeCode) {
+    return path.join(jobDir, moduleName, `${localeCode}.rejected.json`);
+  }
+  _localPotOut(jobDir, moduleName) {
+    return path.join(jobDir, moduleName, `${moduleName}.pot`);
+  }
+  _localPoOut(jobDir, moduleName, localeCode) {
+    return path.join(jobDir, moduleName, `${localeCode}.po`);
+  }
+
+  // POT template of the module and PO file of one target, from the output
+  // being written; key statuses become fuzzy flags and comments
+  async writeGettext({
+    jobDir,
+    moduleName,
+    target,
+    flatSource,
+    translatedFlat,
+    statuses,
+  }) {
+    const units = Object.entries(flatSource)
+      .filter(([, text]) => isTranslatable(text))
+      .map(([key, source]) => {
+        const entry = statuses.get(key);
+        return {
+          key,
+          source,
+          target: translatedFlat[key] ?? null,
+          status: entry ? entry.status : null,
+          previous: entry?.previous ?? null,
+          comment: entry?.comment ?? null,
+        };
+      });
+    const reference = `${moduleName}/${this.source.folderCode}.json`;
+    const potPath = this._localPotOut(jobDir, moduleName);
+    const poPath = this._localPoOut(jobDir, moduleName, target.folderCode);
+    await fsp.writeFile(
+      potPath,
+      buildPo(units, { project: moduleName, template: true, reference }),
+      "utf8"
+    );
+    await fsp.writeFile(
+      poPath,
+      buildPo(units, {
+        project: moduleName,
+        language: target.awsCode,
+        reference,
+      }),
+      "utf8"
+    );
+    return { potPath, poPath };
+  }
+
+  /**
+   * Lint every module's en.json once per job and write <jobDir>/lint.json.
+   * Error-level issues abort the job or mark their keys to be skipped,
+   * depending on the linter's onError.
+   */
+  async lintSources(modules, jobDir) {
+    return this._step({
+      startFlag: "tr_lint_start",
+      endFlag: "tr_lint_end",
+      action: "source_lint",
+      messageStart: `Linting ${modules.length} source file(s)`,
+      messageEnd: `Source lint complete`,
+      data: { rules: this.lint.rules, onError: this.lint.onError },
+      fn: async () => {
+        const results = {};
+        for (const m of modules) {
+          const json = await readJsonSafe(m.sourceFile);
+          // Unreadable files fail their pairs in buildPayload
+          json
+            ? (results[m.moduleName] = this.lint.lint(flattenJson(json)))
+            : null;
+        }
+        const total = (field) =>
+          Object.values(results).reduce((n, r) => n + r[field], 0);
+        const summary = {
+          errors: total("errors"),
+          warnings: total("warnings"),
+          skipped: Object.values(results).reduce(
+            (n, r) => n + r.skipKeys.length,
+            0
+          ),
+        };
+        await writeJsonPretty(path.join(jobDir, "lint.json"), {
+          rules: this.lint.rules,
+          onError: this.lint.onError,
+          ...summary,
+          modules: results,
+        });
+        summary.errors || summary.warnings
+          ? this._log(
+              "tr_lint_issues",
+              "source_lint",
+              `${summary.errors} lint error(s), ${summary.warnings} warning(s) in source strings`,
+              {
+                ...summary,
+                modules: Object.entries(results)
+                  .filter(([, r]) => r.issues.length)
+                  .map(([moduleName, r]) => ({
+                    moduleName,
+                    errors: r.errors,
+                    warnings: r.warnings,
+                    skipKeys: r.skipKeys,
+                  })),
+              },
+              summary.errors > 0
+            )
+          : null;
+        this._emit("lint", summary);
+        if (summary.errors && this.lint.onError === "abort") {
+          throw new Error(
+            `Source lint failed with ${
+              summary.errors
+            } error(s); see ${path.join(jobDir, "lint.json")}`
+          );
+        }
+        return results;
+      },
+    });
+  }
+
+  price(characters) {
+    return (
+      Math.round(((characters * this.pricing.perMillion) / 1e6) * 1e4) / 1e4
+    );
+  }
+
+  /**
+   * Characters each pair would send (after incremental, key status, lint
+   * and memory filtering, as masked for the provider) and their estimated
+   * cost, written to <jobDir>/estimate.json. Exceeding the character budget
+   * aborts the job before any translation request unless this is a dry run.
+   */
+  async estimateCost(pairs, jobDir) {
+    return this._step({
+      startFlag: "tr_estimate_start",
+      endFlag: "tr_estimate_end",
+      action: "cost_estimate",
+      messageStart: `Estimating characters for ${pairs.length} pair(s)`,
+      messageEnd: `Cost estimate complete`,
+      data: { pricing: this.pricing, charBudget: this.charBudget },
+      fn: async () => {
+        const rows = [];
+        for (const { mod, target } of pairs) {
+          const pairId = JobManifest.pairId(mod.moduleName, target.folderCode);
+          const row = {
+            pairId,
+            moduleName: mod.moduleName,
+            locale: target.folderCode,
+          };
+          const done = this.manifest.getPair(pairId);
+          if (
+            done?.status === "completed" &&
+            done.outPath &&
+            (await pathExists(done.outPath))
+          ) {
+            rows.push({
+              ...row,
+              strings: 0,
+              characters: 0,
+              cost: 0,
+              skipped: true,
+            });
+            continue;
+          }
+          let plan;
+          try {
+            plan = await this.planPair({
+              moduleName: mod.moduleName,
+              enFile: mod.sourceFile,
+              target,
+            });
+          } catch (e) {
+            // The pair fails with the same error when it runs
+            rows.push({
+              ...row,
+              strings: 0,
+              characters: 0,
+              cost: 0,
+              error: e.message,
+            });
+            continue;
+          }
+          this.plans.set(pairId, plan);
+          const sent = this.maskPlaceholders
+            ? maskLines(plan.toTranslate).masked
+            : plan.toTranslate;
+          const characters = sent.reduce((n, l) => n + [...l.text].length, 0);
+          rows.push({
+            ...row,
+            strings: sent.length,
+            characters,
+            cost: this.price(characters),
+          });
+        }
+        const characters = rows.reduce((n, r) => n + r.characters, 0);
+        const summary = {
+          provider: this.provider.name,
+          dryRun: this.dryRun,
+          pricing: this.pricing,
+          charBudget: this.charBudget,
+          strings: rows.reduce((n, r) => n + r.strings, 0),
+          characters,
+          cost: this.price(characters),
+          withinBudget:
+            this.charBudget === null || characters <= this.charBudget,
+        };
+        await writeJsonPretty(path.join(jobDir, "estimate.json"), {
+          ...summary,
+          pairs: rows,
+        });
+        this._log(
+          "tr_estimate",
+          "cost_estimate",
+          `${characters} character(s) to translate, about ${summary.cost} ${this.pricing.currency}`,
+          summary,
+          !summary.withinBudget
+        );
+        this._emit("estimate", summary);
+        if (!summary.withinBudget && !this.dryRun) {
+          throw new Error(
+            `Character budget exceeded: ${characters} character(s) to translate, budget ${
+              this.charBudget
+            }; see ${path.join(jobDir, "estimate.json")}`
+          );
+        }
+        return summary;
+      },
+    });
+  }
 
   async buildPayload(enFile) {
     return this._step({
@@ -358,62 +739,252 @@ export default class TranslationRunner {
         const json = await readJsonSafe(enFile);
         if (!json) throw new Error(`Cannot read or parse ${enFile}`);
         const flat = flattenJson(json);
-        const lines = Object.entries(flat).map(([key, text]) => ({
-          key,
-          text,
-        }));
+        const lines = Object.entries(flat)
+          .filter(([, text]) => isTranslatable(text))
+          .map(([key, text]) => ({ key, text }));
         return { flatSource: flat, lines };
       },
     });
   }
 
-  async translateModuleLocale({ moduleName, enFile, jobDir, target }) {
+  // Splits payload lines into ones whose translation can be carried over from
+  // the most recent previous job (same source hash) and ones still to send.
+  async diffAgainstPrevious({ moduleName, targetFolder, lines, sourceHashes }) {
+    if (!this.incremental) return { carried: {}, pending: lines, from: null };
+    return this._step({
+      startFlag: "tr_incremental_start",
+      endFlag: "tr_incremental_end",
+      action: "incremental_diff",
+      messageStart: `Comparing ${moduleName}/${targetFolder} with previous output`,
+      messageEnd: `Incremental diff complete`,
+      data: { moduleName, targetFolder },
+      fn: async () => {
+        const prev = await findPreviousJobOutput({
+          outputRoot: this.outputRoot,
+          currentFolder: this.tsFolder,
+          moduleName,
+          localeCode: targetFolder,
+          provider: this.provider.name,
+        });
+        if (!prev) return { carried: {}, pending: lines, from: null };
+        const carried = {};
+        const pending = [];
+        for (const line of lines) {
+          const reusable =
+            prev.hashes[line.key] === sourceHashes[line.key] &&
+            typeof prev.flat[line.key] === "string";
+          reusable
+            ? (carried[line.key] = prev.flat[line.key])
+            : pending.push(line);
+        }
+        this._log(
+          "tr_incremental_diff",
+          "incremental_diff",
+          `${pending.length} key(s) to translate, ${
+            Object.keys(carried).length
+          } carried over from ${prev.folder}`,
+          {
+            moduleName,
+            targetFolder,
+            from: prev.folder,
+            pending: pending.length,
+            carried: Object.keys(carried).length,
+          }
+        );
+        return { carried, pending, from: prev.folder };
+      },
+    });
+  }
+
+  // ICU plural/select messages are sent as their literal sub-messages, with
+  // plural categories expanded to what the target locale needs. Units
+  // without text are not sent; collapseIcu reuses them from `units`.
+  expandIcu(lines, target) {
+    const icu = {};
+    if (!this.icu) return { lines, icu };
+    const out = [];
+    for (const line of lines) {
+      if (!isComplexMessage(line.text)) {
+        out.push(line);
+        continue;
+      }
+      const nodes = expandForLocale(parseIcu(line.text), target.awsCode);
+      const { units, shape } = splitUnits(nodes);
+      icu[line.key] = { shape, units };
+      for (const u of units)
+        unitHasText(u.text)
+          ? out.push({ key: `${line.key}#icu:${u.id}`, text: u.text })
+          : null;
+    }
+    return { lines: out, icu };
+  }
+
+  collapseIcu(flat, icu) {
+    const out = { ...flat };
+    for (const [key, { shape, units }] of Object.entries(icu)) {
+      const translations = {};
+      const fallback = {};
+      for (const u of units) {
+        const unitKey = `${key}#icu:${u.id}`;
+        fallback[u.id] = u.text;
+        if (Object.prototype.hasOwnProperty.call(flat, unitKey))
+          translations[u.id] = flat[unitKey];
+        delete out[unitKey];
+      }
+      out[key] = assembleUnits(shape, translations, fallback);
+    }
+    return out;
+  }
+
+  // Memory failures never fail the pair; we just translate everything.
+  async lookupMemory({ moduleName, target, lines }) {
+    if (!this.memory || !lines.length)
+      return { remembered: {}, pending: lines };
     const targetFolder = target.folderCode;
-    const targetAws = target.awsCode;
+    try {
+      const remembered = await this._step({
+        startFlag: "tr_memory_lookup_start",
+        endFlag: "tr_memory_lookup_end",
+        action: "memory_lookup",
+        messageStart: `Looking up ${lines.length} string(s) in translation memory`,
+        messageEnd: `Translation memory lookup complete`,
+        data: { moduleName, targetFolder },
+        fn: async () => this.memory.lookup(lines, target.awsCode),
+      });
+      const pending = lines.filter(
+        ({ key }) => !Object.prototype.hasOwnProperty.call(remembered, key)
+      );
+      this._log(
+        "tr_memory_hits",
+        "memory_lookup",
+        `${lines.length - pending.length}/${
+          lines.length
+        } string(s) found in memory`,
+        { moduleName, targetFolder, hits: lines.length - pending.length }
+      );
+      return { remembered, pending };
+    } catch (e) {
+      this._log(
+        "tr_error",
+        "memory_lookup_fail",
+        `Translation memory lookup failed; translating all. ${e.message}`,
+        { moduleName, targetFolder },
+        true
+      );
+      return { remembered: {}, pending: lines };
+    }
+  }
 
-    const { flatSource, lines } = await this.buildPayload(enFile);
+  // Mock providers (local, pseudo) never write to the memory, so their
+  // output cannot be served to later jobs as a translation
+  async storeMemory({ moduleName, target, lines, translated }) {
+    if (!this.memory || this.provider.mock || !lines.length) return;
+    const targetFolder = target.folderCode;
+    try {
+      await this._step({
+        startFlag: "tr_memory_store_start",
+        endFlag: "tr_memory_store_end",
+        action: "memory_store",
+        messageStart: `Storing ${lines.length} translation(s) in memory`,
+        messageEnd: `Translation memory updated`,
+        data: { moduleName, targetFolder },
+        fn: async () =>
+          this.memory.store(
+            lines.map(({ key, text }) => ({
+              text,
+              translation: translated[key],
+            })),
+            target.awsCode
+          ),
+      });
+    } catch (e) {
+      this._log(
+        "tr_error",
+        "memory_store_fail",
+        `Translation memory write failed. ${e.message}`,
+        { moduleName, targetFolder },
+        true
+      );
+    }
+  }
 
-    // Upload JSONL input to S3 (via your AwsS3)
-    const inputKey = this._s3InputKey(moduleName, targetFolder);
-    const inputUri = await this._step({
-      startFlag: "tr_s3_upload_start",
-      endFlag: "tr_s3_upload_end",
-      action: "s3_put",
-      messageStart: `Uploading input JSONL to s3://${this.bucket}/${inputKey}`,
-      messageEnd: `Input uploaded`,
-      data: { bucket: this.bucket, key: inputKey },
-      fn: async () => this.aws.putJsonl(this.bucket, inputKey, lines),
-    });
+  // A batch recorded in the manifest can be re-attached to only when it was
+  // started for exactly the same keys, since results map back by line index.
+  _resumableBatch(pairId, lines) {
+    const batch = this.manifest?.getPair(pairId)?.batch;
+    if (!batch?.jobId || !Array.isArray(batch.keys)) return null;
+    const keys = lines.map((l) => l.key);
+    const same =
+      batch.keys.length === keys.length &&
+      batch.keys.every((k, i) => k === keys[i]);
+    return same ? batch : null;
+  }
 
-    const outputUri = this._s3OutputUri(moduleName, targetFolder);
-    const outputPrefix = this._s3OutputPrefix(moduleName, targetFolder);
+  async translateLines({ moduleName, target, lines: sourceLines }) {
+    const targetFolder = target.folderCode;
+    // Placeholders, ICU arguments and markup never reach the MT engine
+    const { masked: lines, tokensByKey } = this.maskPlaceholders
+      ? maskLines(sourceLines)
+      : { masked: sourceLines, tokensByKey: {} };
+    const targetAws = target.awsCode;
+    const pairId = JobManifest.pairId(moduleName, targetFolder);
+    const useBatch = !this.forceSync && this.provider.supportsJobs();
+    const resumable = useBatch ? this._resumableBatch(pairId, lines) : null;
 
-    // Try batch
+    // Try batch (or re-attach to the one a previous run left behind)
     let translatedFlat = null;
-    if (!this.forceSync && this.roleArn) {
+    if (useBatch) {
+      const inputKey = resumable
+        ? resumable.inputKey
+        : this._s3InputKey(moduleName, targetFolder);
+      const outputUri = this._s3OutputUri(moduleName, targetFolder);
+      const outputPrefix = this._s3OutputPrefix(moduleName, targetFolder);
       try {
-        const { jobId, jobName } = await this._step({
-          startFlag: "tr_batch_start",
-          endFlag: "tr_batch_start",
-          action: "batch_start",
-          messageStart: `Starting batch translation`,
-          messageEnd: `Batch started`,
-          data: {
-            moduleName,
-            targetFolder,
-            jobName: "pending",
-            inputUri,
-            outputUri,
-            source: this.source.awsCode,
-            target: targetAws,
-          },
-          fn: async () =>
-            this.aws.startBatch({
-              inputS3Uri: inputUri,
-              outputS3Uri: outputUri,
-              targetLang: targetAws,
-            }),
-        });
+        if (resumable) {
+          this._log(
+            "tr_resume_batch",
+            "batch_reattach",
+            `Re-attaching to batch job ${resumable.jobId}`,
+            { moduleName, targetFolder, jobId: resumable.jobId }
+          );
+        }
+        const { jobId } =
+          resumable ||
+          (await this._step({
+            startFlag: "tr_batch_start",
+            endFlag: "tr_batch_start",
+            action: "batch_start",
+            messageStart: `Uploading input and starting batch translation`,
+            messageEnd: `Batch started`,
+            data: {
+              moduleName,
+              targetFolder,
+              provider: this.provider.name,
+              inputKey,
+              outputUri,
+              source: this.source.awsCode,
+              target: targetAws,
+            },
+            fn: async () =>
+              this.throttle.run(() =>
+                this.provider.startJob({
+                  lines,
+                  targetLang: targetAws,
+                  inputKey,
+                  outputUri,
+                })
+              ),
+          }));
+        resumable
+          ? null
+          : await this.manifest?.updatePair(pairId, {
+              batch: {
+                jobId,
+                inputKey,
+                outputPrefix,
+                keys: lines.map((l) => l.key),
+              },
+            });
 
         await this._step({
           startFlag: "tr_batch_wait",
@@ -422,8 +993,7 @@ export default class TranslationRunner {
           messageStart: `Waiting for job ${jobId}`,
           messageEnd: `Polling...`,
           data: { jobId },
-          fn: async () =>
-            this.aws.waitForBatchCompletion({ jobId, logger: Logger }),
+          fn: async () => this.provider.pollJob({ jobId, logger: Logger }),
         });
 
         const fetched = await this._step({
@@ -433,8 +1003,7 @@ export default class TranslationRunner {
           messageStart: `Fetching batch results`,
           messageEnd: `Batch results fetched`,
           data: { outputUri },
-          fn: async () =>
-            this.aws.fetchBatchResults({ outputS3Uri: outputUri }),
+          fn: async () => this.provider.fetchJobResults({ outputUri }),
         });
 
         translatedFlat = {};
@@ -455,7 +1024,19 @@ export default class TranslationRunner {
           { moduleName, targetFolder },
           true
         );
+        await this.manifest?.updatePair(pairId, { batch: null });
       }
+
+      // --- CLEANUP (delete job input + all job output) ---
+      await this._step({
+        startFlag: "tr_cleanup_start",
+        endFlag: "tr_cleanup_end",
+        action: "s3_cleanup",
+        messageStart: `Cleaning up batch input & output`,
+        messageEnd: `Batch cleanup complete`,
+        data: { inputKey, outputPrefix },
+        fn: async () => this.provider.cleanupJob({ inputKey, outputPrefix }),
+      });
     }
 
     // Fallback per-string
@@ -466,43 +1047,271 @@ export default class TranslationRunner {
         action: "sync_translate",
         messageStart: `Translating per-string`,
         messageEnd: `Per-string complete`,
-        data: { moduleName, targetFolder },
-        fn: async () => {
-          const ret = [];
-          for (const { key, text } of lines) {
-            const t = await this.aws.translateText(text, targetAws);
-            ret.push({ key, text: t });
-          }
-          return ret;
+        data: {
+          moduleName,
+          targetFolder,
+          provider: this.provider.name,
+          concurrency: this.stringConcurrency,
         },
+        fn: async () =>
+          this.provider.translateBatch(lines, targetAws, {
+            concurrency: this.stringConcurrency,
+            throttle: this.throttle,
+          }),
       });
       translatedFlat = {};
       for (const r of out) translatedFlat[r.key] = r.text;
     }
 
-    // Convert to nested JSON
-    const nested = await this._step({
-      startFlag: "tr_convert_start",
-      endFlag: "tr_convert_end",
-      action: "unflatten",
-      messageStart: `Converting flat -> nested`,
-      messageEnd: `Converted nested`,
-      data: { moduleName, targetFolder },
-      fn: async () => unflattenJson(translatedFlat),
+    return unmaskFlat(translatedFlat, tokensByKey);
+  }
+
+  /**
+   * Review statuses from the checked-in locale file and the previous job's
+   * output (the most recent entry per key wins). Approved/locked keys whose
+   * English source is unchanged are kept verbatim; if the source changed they
+   * are re-translated and flagged for re-review.
+   */
+  async loadKeyStatuses({
+    moduleName,
+    targetFolder,
+    enFile,
+    from,
+    sourceHashes,
+  }) {
+    const files = [path.join(path.dirname(enFile), `${targetFolder}.json`)];
+    from
+      ? files.push(
+          this._localOut(
+            path.join(this.outputRoot, from),
+            moduleName,
+            targetFolder
+          )
+        )
+      : null;
+    const latest = {}; // key -> { entry, value }
+    for (const file of files) {
+      const statuses = await KeyStatus.load(file);
+      const flat = flattenJson((await readJsonSafe(file)) || {});
+      for (const [key, entry] of Object.entries(statuses.entries)) {
+        const seen = latest[key];
+        !seen || String(entry.updatedAt) > String(seen.entry.updatedAt)
+          ? (latest[key] = { entry, value: flat[key] })
+          : null;
+      }
+    }
+
+    const kept = {};
+    const reReview = {};
+    for (const [key, { entry, value }] of Object.entries(latest)) {
+      if (!Object.prototype.hasOwnProperty.call(sourceHashes, key)) continue;
+      const flagged =
+        KeyStatus.isProtected(entry) || entry.status === "needs_review";
+      if (!flagged || typeof value !== "string") continue;
+      if (entry.sourceHash === sourceHashes[key]) {
+        KeyStatus.isProtected(entry) ? (kept[key] = value) : null;
+      } else {
+        reReview[key] = {
+          previous: entry.previous ?? value,
+          previousStatus: entry.previousStatus || entry.status,
+        };
+      }
+    }
+    Object.keys(kept).length || Object.keys(reReview).length
+      ? this._log(
+          "tr_key_status",
+          "key_status",
+          `${Object.keys(kept).length} approved/locked key(s) kept, ${
+            Object.keys(reReview).length
+          } flagged for re-review`,
+          {
+            moduleName,
+            targetFolder,
+            kept: Object.keys(kept),
+            reReview: Object.keys(reReview),
+          }
+        )
+      : null;
+    return { kept, reReview, latest };
+  }
+
+  // Status sidecar for a freshly written locale file
+  buildKeyStatuses({
+    outPath,
+    flatSource,
+    translatedFlat,
+    sourceHashes,
+    guard,
+    untranslated = {},
+  }) {
+    const statuses = new KeyStatus(outPath);
+    for (const [key, val] of Object.entries(translatedFlat)) {
+      if (!isTranslatable(flatSource[key])) continue;
+      if (Object.prototype.hasOwnProperty.call(untranslated, key)) continue;
+      const sourceHash = sourceHashes[key];
+      const seen = guard.latest[key];
+      if (guard.reReview[key]) {
+        statuses.set(key, "needs_review", {
+          sourceHash,
+          ...guard.reReview[key],
+        });
+      } else if (
+        seen &&
+        seen.entry.sourceHash === sourceHash &&
+        seen.value === val
+      ) {
+        statuses.entries[key] = seen.entry;
+      } else {
+        statuses.set(key, "machine", { sourceHash });
+      }
+    }
+    return statuses;
+  }
+
+  /**
+   * Work out what a pair has to send: the flattened source minus keys
+   * carried from the previous job, approved/locked keys, lint-skipped keys
+   * and strings found in the translation memory. Nothing is translated, so
+   * the cost estimate uses this too.
+   */
+  async planPair({ moduleName, enFile, target }) {
+    const targetFolder = target.folderCode;
+
+    const { flatSource, lines } = await this.buildPayload(enFile);
+    const sourceHashes = hashFlat(flatSource);
+
+    // Only new or changed keys go to AWS; the rest reuse the previous job
+    const { carried, pending, from } = await this.diffAgainstPrevious({
+      moduleName,
+      targetFolder,
+      lines,
+      sourceHashes,
     });
+    // Approved/locked keys are never re-sent while their source is unchanged
+    const guard = await this.loadKeyStatuses({
+      moduleName,
+      targetFolder,
+      enFile,
+      from,
+      sourceHashes,
+    });
+    // Keys failing source lint are not sent; without an earlier translation
+    // they get the English text, with no source hash or status, so the next
+    // run translates them once the source is fixed
+    const lintSkipped = new Set(this.lintResults[moduleName]?.skipKeys || []);
+    const unlocked = pending.filter(
+      (l) =>
+        !Object.prototype.hasOwnProperty.call(guard.kept, l.key) &&
+        !lintSkipped.has(l.key)
+    );
+    const untranslated = {};
+    for (const key of lintSkipped)
+      isTranslatable(flatSource[key]) &&
+      !Object.prototype.hasOwnProperty.call(carried, key) &&
+      !Object.prototype.hasOwnProperty.call(guard.kept, key)
+        ? (untranslated[key] = flatSource[key])
+        : null;
+    // ...and strings already known to the translation memory are reused too
+    const { lines: units, icu } = this.expandIcu(unlocked, target);
+    const { remembered, pending: toTranslate } = await this.lookupMemory({
+      moduleName,
+      target,
+      lines: units,
+    });
+    return {
+      flatSource,
+      sourceHashes,
+      carried,
+      from,
+      guard,
+      untranslated,
+      icu,
+      remembered,
+      toTranslate,
+    };
+  }
 
-    // Validate
-    const { ok, errors } = validateKeyAndPlaceholderParity({
+  async translateModuleLocale({ moduleName, enFile, jobDir, target }) {
+    const targetFolder = target.folderCode;
+
+    const {
+      flatSource,
+      sourceHashes,
+      carried,
+      from,
+      guard,
+      untranslated,
+      icu,
+      remembered,
+      toTranslate,
+    } =
+      this.plans.get(JobManifest.pairId(moduleName, targetFolder)) ||
+      (await this.planPair({ moduleName, enFile, target }));
+    this.plans.delete(JobManifest.pairId(moduleName, targetFolder));
+    const translatedUnits = toTranslate.length
+      ? await this.translateLines({ moduleName, target, lines: toTranslate })
+      : {};
+    const fresh = this.collapseIcu({ ...remembered, ...translatedUnits }, icu);
+
+    // Merge in source key order; non-string/empty leaves are copied verbatim
+    const translatedFlat = {};
+    for (const [key, val] of Object.entries(flatSource)) {
+      if (!isTranslatable(val)) {
+        translatedFlat[key] = val;
+        continue;
+      }
+      for (const src of [guard.kept, fresh, carried, untranslated]) {
+        if (!Object.prototype.hasOwnProperty.call(src, key)) continue;
+        translatedFlat[key] = src[key];
+        break;
+      }
+    }
+
+    // Validate; under the "fallback" policy invalid keys are replaced like
+    // lint-skipped ones (no source hash or status, so they are retried) and
+    // the pair goes on
+    let { ok, errors } = validateKeyAndPlaceholderParity({
       sourceFlat: flatSource,
       targetFlat: translatedFlat,
     });
+    const rejected =
+      !ok && this.onInvalid === "fallback"
+        ? await this.fallbackInvalidKeys({
+            moduleName,
+            targetFolder,
+            enFile,
+            from,
+            flatSource,
+            translatedFlat,
+            errors,
+          })
+        : [];
+    for (const r of rejected) {
+      translatedFlat[r.key] = r.value;
+      untranslated[r.key] = r.value;
+    }
+    rejected.length
+      ? ({ ok, errors } = validateKeyAndPlaceholderParity({
+          sourceFlat: flatSource,
+          targetFlat: translatedFlat,
+        }))
+      : null;
     await this._step({
       startFlag: "tr_validate_start",
       endFlag: ok ? "tr_validate_pass" : "tr_validate_fail",
       action: "validate",
       messageStart: `Validating`,
-      messageEnd: ok ? `Validation passed` : `Validation failed`,
-      data: { moduleName, targetFolder, errors },
+      messageEnd: ok
+        ? rejected.length
+          ? `Validation passed; ${rejected.length} key(s) rejected`
+          : `Validation passed`
+        : `Validation failed`,
+      data: {
+        moduleName,
+        targetFolder,
+        errors,
+        rejected: rejected.map((r) => r.key),
+      },
       fn: async () => {},
     });
     if (!ok) {
@@ -521,118 +1330,532 @@ export default class TranslationRunner {
       throw err;
     }
 
-    // Write local file
+    // Convert to nested JSON
+    const nested = await this._step({
+      startFlag: "tr_convert_start",
+      endFlag: "tr_convert_end",
+      action: "unflatten",
+      messageStart: `Converting flat -> nested`,
+      messageEnd: `Converted nested`,
+      data: { moduleName, targetFolder },
+      fn: async () => unflattenJson(translatedFlat),
+    });
+
+    // Quality issues are stored with the job, not thrown; English left in
+    // place by source lint is not reported as untranslated
+    this.quality
+      ? await this.checkQuality({
+          jobDir,
+          moduleName,
+          targetFolder,
+          flatSource,
+          translatedFlat,
+          untranslated,
+        })
+      : null;
+
+    // Only validated output is remembered
+    await this.storeMemory({
+      moduleName,
+      target,
+      lines: toTranslate.filter(
+        (l) =>
+          !Object.prototype.hasOwnProperty.call(
+            untranslated,
+            l.key.split("#icu:")[0]
+          )
+      ),
+      translated: translatedUnits,
+    });
+
+    // Write local file + source hashes for the next incremental run
     const outPath = this._localOut(jobDir, moduleName, targetFolder);
+    const hashesPath = this._localHashesOut(jobDir, moduleName, targetFolder);
+    const statuses = this.buildKeyStatuses({
+      outPath,
+      flatSource,
+      translatedFlat,
+      sourceHashes,
+      guard,
+      untranslated,
+    });
+    const writtenHashes = { ...sourceHashes };
+    for (const key of Object.keys(untranslated)) delete writtenHashes[key];
+    const rejectedPath = this._localRejectedOut(
+      jobDir,
+      moduleName,
+      targetFolder
+    );
     await this._step({
       startFlag: "tr_write_start",
       endFlag: "tr_write_end",
       action: "write_file",
       messageStart: `Writing ${outPath}`,
       messageEnd: `File written`,
-      data: { outPath },
-      fn: async () => writeJsonPretty(outPath, nested),
-    });
-
-    // --- CLEANUP S3 (delete input object + all output objects) ---
-    await this._step({
-      startFlag: "tr_cleanup_start",
-      endFlag: "tr_cleanup_end",
-      action: "s3_cleanup",
-      messageStart: `Cleaning up S3 input & output`,
-      messageEnd: `S3 cleanup complete`,
-      data: { inputKey, outputPrefix },
+      data: { outPath, hashesPath, statusPath: statuses.file },
       fn: async () => {
-        // Delete input jsonl
-        if (AwsS3 && typeof AwsS3.deleteFile === "function") {
-          await AwsS3.deleteFile(this.bucket, inputKey);
-        }
-        // Delete all files under output prefix
-        if (
-          AwsS3 &&
-          typeof AwsS3.listFiles === "function" &&
-          typeof AwsS3.deleteFiles === "function"
-        ) {
-          const files = await AwsS3.listFiles(this.bucket, outputPrefix);
-          if (files && files.length) {
-            const keys = files.map((f) => f.Key);
-            await AwsS3.deleteFiles(this.bucket, keys);
+        await writeJsonPretty(outPath, nested);
+        await writeJsonPretty(hashesPath, writtenHashes);
+        await statuses.save();
+        // A resumed pair may leave a report from an earlier attempt
+        rejected.length
+          ? await writeJsonPretty(rejectedPath, {
+              moduleName,
+              locale: targetFolder,
+              policy: this.onInvalid,
+              count: rejected.length,
+              keys: rejected,
+            })
+          : await fsp.rm(rejectedPath, { force: true });
+        await this.manifest?.updatePair(
+          JobManifest.pairId(moduleName, targetFolder),
+          {
+            rejected: rejected.length
+              ? { count: rejected.length, file: rejectedPath }
+              : null,
           }
-        }
+        );
+        this.gettext
+          ? await this.writeGettext({
+              jobDir,
+              moduleName,
+              target,
+              flatSource,
+              translatedFlat,
+              statuses,
+            })
+          : null;
       },
     });
 
+    this.mobile
+      ? await this._step({
+          startFlag: "tr_mobile_start",
+          endFlag: "tr_mobile_end",
+          action: "mobile_export",
+          messageStart: `Exporting ${this.mobile.platforms.join(
+            ", "
+          )} resources`,
+          messageEnd: `Mobile resources written`,
+          data: { moduleName, targetFolder },
+          fn: async () =>
+            this.mobile.exportPair({
+              moduleDir: path.dirname(outPath),
+              moduleName,
+              sourceFlat: flatSource,
+              targetFlat: translatedFlat,
+              source: this.source,
+              target,
+            }),
+        })
+      : null;
+
     return outPath;
   }
 
-  async generateBulkTranslations() {
-    const jobDir = await this.ensureJobDir();
-    const modules = await this.scanAllModules();
-    this.totalPairs = modules.length * this.targets.length;
-    this.completedPairs = 0;
-    this._progressTick({ stage: "init" });
+  /**
+   * Replacements for keys that failed validation: the previous job's or the
+   * checked-in translation when it passes validation against the current
+   * source, then the checked-in translation of each locale in the target's
+   * registry fallback chain, otherwise the English text. Returns [{ key,
+   * reason, details?, rejected, fallback: "previous" | "locale" | "source",
+   * fallbackLocale?, value }].
+   */
+  async fallbackInvalidKeys({
+    moduleName,
+    targetFolder,
+    enFile,
+    from,
+    flatSource,
+    translatedFlat,
+    errors,
+  }) {
+    const reasons = {};
+    for (const err of errors) {
+      const items = err.items || err.keys.map((key) => ({ key }));
+      for (const { key, ...details } of items)
+        !reasons[key] && isTranslatable(flatSource[key])
+          ? (reasons[key] = {
+              reason: err.type,
+              ...(Object.keys(details).length ? { details } : {}),
+            })
+          : null;
+    }
 
-    // Informative log per the requested runner narration
+    // A previous job only counts for keys it translated (those it wrote a
+    // source hash for), not for its own fallbacks
+    const previous = [];
+    if (from) {
+      const dir = path.join(this.outputRoot, from);
+      const json = await readJsonSafe(
+        this._localOut(dir, moduleName, targetFolder)
+      );
+      const hashes = await readJsonSafe(
+        this._localHashesOut(dir, moduleName, targetFolder)
+      );
+      json && hashes
+        ? previous.push(
+            Object.fromEntries(
+              Object.entries(flattenJson(json)).filter(([key]) =>
+                Object.prototype.hasOwnProperty.call(hashes, key)
+              )
+            )
+          )
+        : null;
+    }
+    const checkedIn = await readJsonSafe(
+      path.join(path.dirname(enFile), `${targetFolder}.json`)
+    );
+    checkedIn ? previous.push(flattenJson(checkedIn)) : null;
+    const candidates = previous.map((flat) => ({ fallback: "previous", flat }));
+    for (const locale of this.locales.fallbackChain(targetFolder)) {
+      const json = await readJsonSafe(
+        path.join(path.dirname(enFile), `${locale}.json`)
+      );
+      json
+        ? candidates.push({
+            fallback: "locale",
+            fallbackLocale: locale,
+            flat: flattenJson(json),
+          })
+        : null;
+    }
+    const valid = (key, text) =>
+      typeof text === "string" &&
+      isTranslatable(text) &&
+      validateKeyAndPlaceholderParity({
+        sourceFlat: { [key]: flatSource[key] },
+        targetFlat: { [key]: text },
+      }).ok;
+
+    const rejected = Object.entries(reasons).map(([key, reason]) => {
+      const { flat, ...prior } = candidates.find((c) =>
+        valid(key, c.flat[key])
+      ) || { fallback: "source" };
+      return {
+        key,
+        ...reason,
+        rejected: Object.prototype.hasOwnProperty.call(translatedFlat, key)
+          ? translatedFlat[key]
+          : null,
+        ...prior,
+        value: flat ? flat[key] : flatSource[key],
+      };
+    });
     this._log(
-      "tr_runner_start",
-      "announce",
-      "Runner will process (module/en) -> all target locales",
+      "tr_validate_fallback",
+      "validate_fallback",
+      `${rejected.length} key(s) in ${moduleName}/${targetFolder} failed validation; written with fallbacks`,
       {
-        totalModules: modules.length,
-        targets: this.targets.map((t) => t.folderCode),
-      }
+        moduleName,
+        targetFolder,
+        keys: rejected.map(({ key, reason, fallback, fallbackLocale }) => ({
+          key,
+          reason,
+          fallback,
+          ...(fallbackLocale ? { fallbackLocale } : {}),
+        })),
+      },
+      true
     );
+    return rejected;
+  }
 
-    for (const mod of modules) {
-      const { moduleName, sourceFile } = mod;
-
-      for (const target of this.targets) {
-        const info = {
+  /**
+   * Run the quality checks on a validated pair and write
+   * <jobDir>/<module>/<locale>.qa.json; the counts go to the manifest pair.
+   */
+  async checkQuality({
+    jobDir,
+    moduleName,
+    targetFolder,
+    flatSource,
+    translatedFlat,
+    untranslated,
+  }) {
+    const qaPath = this._localQaOut(jobDir, moduleName, targetFolder);
+    return this._step({
+      startFlag: "tr_qa_start",
+      endFlag: "tr_qa_end",
+      action: "quality_check",
+      messageStart: `Checking translation quality`,
+      messageEnd: `Quality check complete`,
+      data: { moduleName, targetFolder, qaPath },
+      fn: async () => {
+        const { issues, errors, warnings } = this.quality.check({
+          sourceFlat: flatSource,
+          targetFlat: translatedFlat,
+          locale: targetFolder,
+          keys: Object.keys(flatSource).filter(
+            (k) => !Object.prototype.hasOwnProperty.call(untranslated, k)
+          ),
+        });
+        await writeJsonPretty(qaPath, {
           moduleName,
-          sourceFile,
-          targetFolder: target.folderCode,
-          targetAws: target.awsCode,
-        };
-        this._log(
-          "tr_runner_start",
-          "module_locale_begin",
-          `Begin ${moduleName}/${target.folderCode}`,
-          info
+          locale: targetFolder,
+          checks: this.quality.checks,
+          errors,
+          warnings,
+          issues,
+        });
+        const summary = { errors, warnings, file: qaPath };
+        await this.manifest?.updatePair(
+          JobManifest.pairId(moduleName, targetFolder),
+          { qa: summary }
         );
+        issues.length
+          ? this._log(
+              "tr_qa_issues",
+              "quality_check",
+              `${errors} quality error(s), ${warnings} warning(s) in ${moduleName}/${targetFolder}`,
+              {
+                moduleName,
+                targetFolder,
+                errors,
+                warnings,
+                checks: [...new Set(issues.map((i) => i.check))],
+              },
+              errors > 0
+            )
+          : null;
+        return summary;
+      },
+    });
+  }
 
-        try {
-          const saved = await this.translateModuleLocale({
-            moduleName,
-            enFile: sourceFile,
-            jobDir,
-            target,
-          });
-          this._log(
-            "tr_runner_end",
-            "module_locale_end",
-            `Completed ${moduleName}/${target.folderCode}`,
-            { ...info, saved }
-          );
-        } catch (e) {
-          this._log(
-            "tr_error",
-            "module_locale_error",
-            e.message,
-            { ...info },
-            true
-          );
-          // keep going
-        } finally {
-          this.completedPairs += 1;
-          this._progressTick({ moduleName, targetFolder: target.folderCode });
-        }
-      }
+  async openManifest(jobDir) {
+    this.manifest = await JobManifest.open(jobDir, {
+      jobId: this.tsFolder,
+      source: this.source.folderCode,
+      targets: this.targets.map((t) => t.folderCode),
+      provider: this.provider.name,
+      pseudo: !!this.pseudo,
+    });
+    this._log(
+      "tr_manifest_open",
+      "manifest",
+      this.resumeJobId
+        ? `Resuming job ${this.tsFolder}`
+        : `Manifest created for job ${this.tsFolder}`,
+      { jobDir, pairs: this.manifest.summary() }
+    );
+    return this.manifest;
+  }
+
+  async processPair({ jobDir, mod, target }) {
+    const { moduleName, sourceFile } = mod;
+    const info = {
+      moduleName,
+      sourceFile,
+      targetFolder: target.folderCode,
+      targetAws: target.awsCode,
+    };
+    const pairId = JobManifest.pairId(moduleName, target.folderCode);
+    await this.manifest.registerPair(pairId, info);
+
+    const done = this.manifest.getPair(pairId);
+    if (
+      done.status === "completed" &&
+      done.outPath &&
+      (await pathExists(done.outPath))
+    ) {
+      this._log(
+        "tr_resume_skip",
+        "module_locale_skip",
+        `Skipping ${pairId}; completed in a previous run`,
+        { ...info, saved: done.outPath }
+      );
+      this._emit("pair_end", {
+        pairId,
+        ...info,
+        status: "skipped",
+        outPath: done.outPath,
+        qa: done.qa || null,
+        rejected: done.rejected || null,
+      });
+      this.completedPairs += 1;
+      this._progressTick({ moduleName, targetFolder: target.folderCode });
+      return done.outPath;
     }
 
-    this._log("tr_runner_end", "done", `All modules & locales processed`, {
-      jobDir,
-      total: this.totalPairs,
-      completed: this.completedPairs,
+    if (this.cancelRequested) {
+      await this.manifest.updatePair(pairId, { status: "cancelled" });
+      this._emit("pair_end", { pairId, ...info, status: "cancelled" });
+      this.completedPairs += 1;
+      this._progressTick({ moduleName, targetFolder: target.folderCode });
+      return null;
+    }
+
+    await this.manifest.updatePair(pairId, {
+      status: "running",
+      error: null,
+      startedAt: new Date().toISOString(),
     });
-    return jobDir;
+    this._log(
+      "tr_runner_start",
+      "module_locale_begin",
+      `Begin ${moduleName}/${target.folderCode}`,
+      info
+    );
+    this._emit("pair_begin", { pairId, ...info });
+
+    try {
+      const saved = await this.translateModuleLocale({
+        moduleName,
+        enFile: sourceFile,
+        jobDir,
+        target,
+      });
+      await this.manifest.updatePair(pairId, {
+        status: "completed",
+        outPath: saved,
+        finishedAt: new Date().toISOString(),
+      });
+      this._log(
+        "tr_runner_end",
+        "module_locale_end",
+        `Completed ${moduleName}/${target.folderCode}`,
+        { ...info, saved }
+      );
+      this._emit("pair_end", {
+        pairId,
+        ...info,
+        status: "completed",
+        outPath: saved,
+        qa: this.manifest.getPair(pairId).qa || null,
+        rejected: this.manifest.getPair(pairId).rejected || null,
+      });
+      return saved;
+    } catch (e) {
+      await this.manifest.updatePair(pairId, {
+        status: "failed",
+        error: e.message,
+        finishedAt: new Date().toISOString(),
+      });
+      this._log(
+        "tr_error",
+        "module_locale_error",
+        e.message,
+        { ...info },
+        true
+      );
+      this._emit("pair_error", { pairId, ...info, error: e.message });
+      this._emit("pair_end", { pairId, ...info, status: "failed" });
+      // keep going; other pairs are unaffected
+      return null;
+    } finally {
+      this.completedPairs += 1;
+      this._progressTick({ moduleName, targetFolder: target.folderCode });
+    }
+  }
+
+  /**
+   * Request cancellation: pairs already translating run to completion, every
+   * pair not yet started is marked "cancelled" and the job ends early.
+   */
+  async cancel() {
+    if (this.cancelRequested) return;
+    this.cancelRequested = true;
+    this._log("tr_cancel", "cancel", `Cancelling job ${this.tsFolder}`, {
+      jobId: this.tsFolder,
+    });
+    this.manifest ? await this.manifest.setStatus("cancelling") : null;
+  }
+
+  // Final "failed" status and job_end for a job that threw while running
+  async _markFailed(error, jobDir) {
+    try {
+      await this.manifest.setStatus("failed", {
+        error: error.message,
+        finishedAt: new Date().toISOString(),
+      });
+    } catch (e) {
+      this._log(
+        "tr_error",
+        "manifest_write",
+        `Cannot record failed status: ${e.message}`,
+        { jobDir },
+        true
+      );
+    }
+    this._log("tr_runner_end", "failed", error.message, { jobDir }, true);
+    this._emit("job_end", { status: "failed", error: error.message, jobDir });
+  }
+
+  async generateBulkTranslations() {
+    const jobDir = await this.ensureJobDir();
+    await this.openManifest(jobDir);
+    await this.manifest.setStatus("running", { pid: process.pid });
+    // Anything thrown once the job is "running" (lint abort, budget, I/O)
+    // must still leave the manifest in a final state
+    try {
+      const modules = await this.scanAllModules();
+      this.lintResults = this.lint
+        ? await this.lintSources(modules, jobDir)
+        : {};
+      const pairs = [];
+      for (const mod of modules)
+        for (const target of this.targets) pairs.push({ mod, target });
+      const estimate =
+        this.dryRun || this.charBudget !== null
+          ? await this.estimateCost(pairs, jobDir)
+          : null;
+      estimate ? await this.manifest.setStatus("running", { estimate }) : null;
+      if (this.dryRun) {
+        await this.manifest.setStatus("dry_run", {
+          finishedAt: new Date().toISOString(),
+        });
+        this._log("tr_runner_end", "done", `Dry run; nothing translated`, {
+          jobDir,
+          estimate,
+        });
+        this._emit("job_end", { status: "dry_run", estimate, jobDir });
+        return jobDir;
+      }
+      this.totalPairs = modules.length * this.targets.length;
+      this.completedPairs = 0;
+      this._emit("job_start", {
+        modules: modules.map((m) => m.moduleName),
+        targets: this.targets.map((t) => t.folderCode),
+        total: this.totalPairs,
+      });
+      this._progressTick({ stage: "init" });
+
+      // Informative log per the requested runner narration
+      this._log(
+        "tr_runner_start",
+        "announce",
+        "Runner will process (module/en) -> all target locales",
+        {
+          totalModules: modules.length,
+          targets: this.targets.map((t) => t.folderCode),
+        }
+      );
+
+      await mapWithConcurrency(pairs, this.pairConcurrency, ({ mod, target }) =>
+        this.processPair({ jobDir, mod, target })
+      );
+
+      const summary = this.manifest.summary();
+      const status = this.cancelRequested
+        ? "cancelled"
+        : summary.failed
+        ? "completed_with_errors"
+        : "completed";
+      await this.manifest.setStatus(status, {
+        finishedAt: new Date().toISOString(),
+      });
+      this._log("tr_runner_end", "done", `All modules & locales processed`, {
+        jobDir,
+        total: this.totalPairs,
+        completed: this.completedPairs,
+        summary,
+      });
+      this._emit("job_end", { status, summary, jobDir });
+      return jobDir;
+    } catch (e) {
+      await this._markFailed(e, jobDir);
+      throw e;
+    }
   }
 }
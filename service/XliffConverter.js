@@ -0,0 +1,318 @@
+import { parseStringPromise } from "xml2js";
+import { logEvent } from "../utils/index.js";
+import TranslationReview from "./TranslationReview.js";
+import { extractPlaceholders } from "./I18nHelpers.js";
+
+const VERSIONS = ["1.2", "2.0"];
+const NS = {
+  1.2: "urn:oasis:names:tc:xliff:document:1.2",
+  "2.0": "urn:oasis:names:tc:xliff:document:2.0",
+};
+
+// Key status -> XLIFF state (1.2 target@state / 2.0 segment@state)
+const STATE_OUT = {
+  1.2: {
+    machine: "needs-review-translation",
+    needs_review: "needs-review-translation",
+    reviewed: "translated",
+    approved: "signed-off",
+    locked: "final",
+  },
+  "2.0": {
+    machine: "translated",
+    needs_review: "initial",
+    reviewed: "reviewed",
+    approved: "final",
+    locked: "final",
+  },
+};
+
+// State written for a unit; 1.2 has no state without a target
+function exportedState(version, status, hasTarget) {
+  if (!hasTarget) return version === "1.2" ? undefined : "initial";
+  return STATE_OUT[version][status] || "translated";
+}
+
+function escapeXml(str) {
+  return String(str ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function unitNotes(unit) {
+  const notes = [];
+  unit.status ? notes.push(`Status: ${unit.status}`) : null;
+  unit.previous !== null && unit.previous !== undefined
+    ? notes.push(`Previous translation: ${unit.previous}`)
+    : null;
+  const ph = [...extractPlaceholders(unit.source)];
+  ph.length ? notes.push(`Keep placeholders: {${ph.join("}, {")}}`) : null;
+  return notes;
+}
+
+/**
+ * Serialize units ({ key, source, target, status, previous }) to XLIFF 1.2
+ * or 2.0. Keys go into resname (1.2) / name (2.0) because flattened keys
+ * like `items[0].label` are not valid XLIFF 2.0 ids.
+ */
+function buildXliff(
+  units,
+  { version = "1.2", sourceLang, targetLang, original }
+) {
+  if (!VERSIONS.includes(version)) {
+    throw new Error(`Unsupported XLIFF version: ${version}`);
+  }
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>'];
+  if (version === "1.2") {
+    lines.push(
+      `<xliff version="1.2" xmlns="${NS["1.2"]}">`,
+      `  <file original="${escapeXml(original)}" source-language="${escapeXml(
+        sourceLang
+      )}" target-language="${escapeXml(targetLang)}" datatype="plaintext">`,
+      "    <body>"
+    );
+    units.forEach((u, i) => {
+      const attrs = [
+        `id="${i + 1}"`,
+        `resname="${escapeXml(u.key)}"`,
+        u.status === "approved" || u.status === "locked"
+          ? 'approved="yes"'
+          : null,
+        u.status === "locked" ? 'translate="no"' : null,
+      ].filter(Boolean);
+      lines.push(`      <trans-unit ${attrs.join(" ")}>`);
+      lines.push(`        <source>${escapeXml(u.source)}</source>`);
+      if (u.target !== null && u.target !== undefined) {
+        const state = exportedState("1.2", u.status, true);
+        lines.push(
+          `        <target state="${state}">${escapeXml(u.target)}</target>`
+        );
+      }
+      for (const note of unitNotes(u))
+        lines.push(`        <note>${escapeXml(note)}</note>`);
+      lines.push("      </trans-unit>");
+    });
+    lines.push("    </body>", "  </file>", "</xliff>");
+  } else {
+    lines.push(
+      `<xliff version="2.0" xmlns="${NS["2.0"]}" srcLang="${escapeXml(
+        sourceLang
+      )}" trgLang="${escapeXml(targetLang)}">`,
+      `  <file id="f1" original="${escapeXml(original)}">`
+    );
+    units.forEach((u, i) => {
+      const attrs = [
+        `id="u${i + 1}"`,
+        `name="${escapeXml(u.key)}"`,
+        u.status === "locked" ? 'translate="no"' : null,
+      ].filter(Boolean);
+      lines.push(`    <unit ${attrs.join(" ")}>`);
+      const notes = unitNotes(u);
+      if (notes.length) {
+        lines.push("      <notes>");
+        for (const note of notes)
+          lines.push(`        <note>${escapeXml(note)}</note>`);
+        lines.push("      </notes>");
+      }
+      const hasTarget = u.target !== null && u.target !== undefined;
+      const state = exportedState("2.0", u.status, hasTarget);
+      lines.push(`      <segment state="${state}">`);
+      lines.push(`        <source>${escapeXml(u.source)}</source>`);
+      hasTarget
+        ? lines.push(`        <target>${escapeXml(u.target)}</target>`)
+        : null;
+      lines.push("      </segment>", "    </unit>");
+    });
+    lines.push("  </file>", "</xliff>");
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Text content of an xml2js node; null when it holds inline markup
+function textOf(node) {
+  if (node === undefined) return null;
+  if (typeof node === "string") return node;
+  const children = Object.keys(node).filter((k) => k !== "_" && k !== "$");
+  return children.length ? null : node._ ?? "";
+}
+
+function collect(node, tag, out = []) {
+  for (const el of node[tag] || []) out.push(el);
+  for (const group of node.group || []) collect(group, tag, out);
+  return out;
+}
+
+function stateToStatus(version, state, approved) {
+  if (approved) return "approved";
+  if (version === "1.2") {
+    if (state === "final" || state === "signed-off") return "approved";
+    if (String(state || "").startsWith("needs-")) return "needs_review";
+    return "reviewed";
+  }
+  if (state === "final") return "approved";
+  if (state === "initial") return "needs_review";
+  return "reviewed";
+}
+
+/**
+ * Parse XLIFF 1.2 / 2.0 into { version, sourceLang, targetLang, units },
+ * units being { key, source, target, state, status, markup }; `status` is
+ * the key status the XLIFF state maps to. `markup` is true when
+ * the target holds inline elements, which cannot be mapped back to JSON.
+ */
+async function parseXliff(xml) {
+  let doc;
+  try {
+    doc = await parseStringPromise(String(xml || ""), { explicitArray: true });
+  } catch (e) {
+    throw new Error(`Invalid XLIFF: ${e.message}`);
+  }
+  const root = doc?.xliff;
+  const version = root?.$?.version;
+  if (!root || !VERSIONS.includes(version)) {
+    throw new Error(`Unsupported XLIFF version: ${version || "none"}`);
+  }
+  const files = root.file || [];
+  const units = [];
+  let sourceLang = root.$.srcLang || null;
+  let targetLang = root.$.trgLang || null;
+
+  for (const file of files) {
+    if (version === "1.2") {
+      sourceLang = sourceLang || file.$?.["source-language"] || null;
+      targetLang = targetLang || file.$?.["target-language"] || null;
+      for (const body of file.body || []) {
+        for (const tu of collect(body, "trans-unit")) {
+          const target = tu.target?.[0];
+          units.push({
+            key: tu.$?.resname || tu.$?.id,
+            source: textOf(tu.source?.[0]),
+            target: textOf(target),
+            markup: target !== undefined && textOf(target) === null,
+            state: target?.$?.state,
+            status: stateToStatus(
+              version,
+              target?.$?.state,
+              tu.$?.approved === "yes"
+            ),
+          });
+        }
+      }
+    } else {
+      for (const unit of collect(file, "unit")) {
+        const segments = unit.segment || [];
+        const targets = segments.map((s) => s.target?.[0]);
+        const texts = targets.map(textOf);
+        const hasTarget = targets.some((t) => t !== undefined);
+        const states = segments.map((s) => s.$?.state || "initial");
+        // The least advanced segment decides the unit's state
+        const state = ["initial", "translated", "reviewed", "final"].find((s) =>
+          states.includes(s)
+        );
+        units.push({
+          key: unit.$?.name || unit.$?.id,
+          source: segments.map((s) => textOf(s.source?.[0]) ?? "").join(""),
+          target: hasTarget
+            ? texts.includes(null)
+              ? null
+              : texts.join("")
+            : null,
+          markup: hasTarget && texts.includes(null),
+          state,
+          status: stateToStatus(version, state, false),
+        });
+      }
+    }
+  }
+  return { version, sourceLang, targetLang, units };
+}
+
+/**
+ * XliffConverter - exchanges one module/locale with CAT tools as XLIFF.
+ * Export reads the locale file (job output or i18n) with its key statuses;
+ * import validates every unit (known key, not locked, placeholder/ICU
+ * parity) and saves accepted units through TranslationReview, returning a
+ * report of rejected units.
+ */
+export default class XliffConverter {
+  constructor(opts = {}) {
+    this.review = opts.review || new TranslationReview(opts);
+  }
+
+  async export({ jobId = null, moduleName, locale, version = "1.2" }) {
+    const data = await this.review.load({ jobId, moduleName, locale });
+    const units = data.rows
+      .filter((r) => r.editable)
+      .map(({ key, source, target, status, previous }) => ({
+        key,
+        source,
+        target,
+        status,
+        previous,
+      }));
+    const xml = buildXliff(units, {
+      version,
+      ...this.review.languages(locale),
+      original: `${moduleName}/${locale}.json`,
+    });
+    logEvent("tr_xliff_export", "xliff", `Exported ${moduleName}/${locale}`, {
+      jobId,
+      version,
+      units: units.length,
+    });
+    return {
+      xml,
+      fileName: `${moduleName}.${locale}.xlf`,
+      units: units.length,
+    };
+  }
+
+  async import({ jobId = null, moduleName, locale, xml, dryRun = false }) {
+    const parsed = await parseXliff(xml);
+    const { targetLang } = this.review.languages(locale);
+    if (
+      parsed.targetLang &&
+      ![targetLang, locale]
+        .map((c) => c.toLowerCase())
+        .includes(parsed.targetLang.toLowerCase())
+    ) {
+      throw new Error(
+        `XLIFF target language ${parsed.targetLang} does not match ${locale} (${targetLang})`
+      );
+    }
+
+    // A state left as exported keeps the key status; edited text is at
+    // least "reviewed"
+    const report = await this.review.importUnits({
+      jobId,
+      moduleName,
+      locale,
+      units: parsed.units,
+      dryRun,
+      statusFor: (unit, row, edited) =>
+        unit.state !==
+        exportedState(parsed.version, row.status, row.target !== null)
+          ? unit.status
+          : edited
+          ? "reviewed"
+          : null,
+    });
+    report.version = parsed.version;
+    const { accepted, rejected } = report;
+    logEvent(
+      "tr_xliff_import",
+      "xliff",
+      `${dryRun ? "Checked" : "Imported"} ${moduleName}/${locale}: ${
+        accepted.length
+      } accepted, ${rejected.length} rejected`,
+      { jobId, rejected },
+      rejected.length > 0
+    );
+    return report;
+  }
+}
+
+export { buildXliff, parseXliff };
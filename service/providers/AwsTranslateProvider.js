@@ -0,0 +1,105 @@
+import AwsTranslateAndS3 from "../AwsTranslateAndS3.js";
+import AwsS3 from "../AwsS3.js";
+import TranslationProvider from "./TranslationProvider.js";
+
+function terminologyCsv(sourceLang, entries) {
+  const langs = [...new Set(entries.map((e) => e.targetLang))];
+  const esc = (v) => `"${String(v ?? "").replace(/"/g, '""')}"`;
+  const rows = {};
+  for (const e of entries) {
+    rows[e.source] = rows[e.source] || { [sourceLang]: e.source };
+    rows[e.source][e.targetLang] = e.translation;
+  }
+  return [
+    [sourceLang, ...langs].join(","),
+    ...Object.values(rows).map((r) =>
+      [sourceLang, ...langs].map((l) => esc(r[l])).join(",")
+    ),
+  ].join("\n");
+}
+
+/**
+ * AwsTranslateProvider - AWS Translate (per-string + S3 batch jobs) through
+ * AwsTranslateAndS3. Batch jobs are only available with a data access role.
+ */
+export default class AwsTranslateProvider extends TranslationProvider {
+  constructor(opts = {}) {
+    super(opts);
+    this.bucket = opts.bucket;
+    this.roleArn = opts.roleArn || null;
+    this.client =
+      opts.client ||
+      new AwsTranslateAndS3({
+        region: opts.region,
+        bucket: opts.bucket,
+        s3InputPrefix: opts.s3InputPrefix,
+        s3OutputPrefix: opts.s3OutputPrefix,
+        roleArn: opts.roleArn,
+        sourceLang: this.sourceLang,
+      });
+  }
+
+  get name() {
+    return "aws";
+  }
+
+  async translateText(text, targetLang) {
+    return this.client.translateText(text, targetLang, {
+      terminologyNames: this.terminologyNames,
+    });
+  }
+
+  supportsJobs() {
+    return !!this.roleArn;
+  }
+
+  async startJob({ lines, targetLang, inputKey, outputUri }) {
+    const inputUri = await this.client.putJsonl(this.bucket, inputKey, lines);
+    const { jobId } = await this.client.startBatch({
+      inputS3Uri: inputUri,
+      outputS3Uri: outputUri,
+      targetLang,
+      terminologyNames: this.terminologyNames,
+    });
+    return { jobId, inputUri };
+  }
+
+  async pollJob({ jobId, logger }) {
+    return this.client.waitForBatchCompletion({ jobId, logger });
+  }
+
+  async fetchJobResults({ outputUri }) {
+    return this.client.fetchBatchResults({ outputS3Uri: outputUri });
+  }
+
+  async cleanupJob({ inputKey, outputPrefix }) {
+    // Delete input jsonl
+    if (inputKey && AwsS3 && typeof AwsS3.deleteFile === "function") {
+      await AwsS3.deleteFile(this.bucket, inputKey);
+    }
+    // Delete all files under output prefix
+    if (
+      outputPrefix &&
+      AwsS3 &&
+      typeof AwsS3.listFiles === "function" &&
+      typeof AwsS3.deleteFiles === "function"
+    ) {
+      const files = await AwsS3.listFiles(this.bucket, outputPrefix);
+      if (files && files.length) {
+        const keys = files.map((f) => f.Key);
+        await AwsS3.deleteFiles(this.bucket, keys);
+      }
+    }
+  }
+
+  async listTerminologies() {
+    return this.client.listTerminologies();
+  }
+
+  async importTerminology(name, entries) {
+    return this.client.importTerminology(
+      name,
+      terminologyCsv(this.sourceLang, entries)
+    );
+  }
+}
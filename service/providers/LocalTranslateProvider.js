@@ -0,0 +1,60 @@
+import fs from "fs";
+import TranslationProvider from "./TranslationProvider.js";
+
+/**
+ * LocalTranslateProvider - deterministic, offline provider for CI and local
+ * runs. Strings are looked up in an optional JSON file shaped
+ * `{ "<targetLang>": { "<source text>": "<translation>" } }`; anything else
+ * is returned as `[<targetLang>] <source text>`. Imported terminology wins
+ * over both for exact source matches.
+ */
+export default class LocalTranslateProvider extends TranslationProvider {
+  constructor(opts = {}) {
+    super(opts);
+    this.lookupFile =
+      opts.lookupFile || process.env.TRANSLATION_LOOKUP_FILE || null;
+    this.lookup = opts.lookup || this._readLookup(this.lookupFile);
+    this.terminologies = {};
+  }
+
+  get name() {
+    return "local";
+  }
+
+  get mock() {
+    return true;
+  }
+
+  _readLookup(file) {
+    if (!file) return {};
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+      throw new Error(`Cannot read lookup file ${file}: ${e.message}`);
+    }
+  }
+
+  async translateText(text, targetLang) {
+    const src = String(text ?? "");
+    for (const name of this.terminologyNames) {
+      const hit = this.terminologies[name]?.[targetLang]?.[src];
+      if (typeof hit === "string") return hit;
+    }
+    const found = this.lookup?.[targetLang]?.[src];
+    return typeof found === "string" ? found : `[${targetLang}] ${src}`;
+  }
+
+  async listTerminologies() {
+    return Object.keys(this.terminologies).map((name) => ({ Name: name }));
+  }
+
+  async importTerminology(name, entries) {
+    const table = {};
+    for (const { source, targetLang, translation } of entries) {
+      table[targetLang] = table[targetLang] || {};
+      table[targetLang][source] = translation;
+    }
+    this.terminologies[name] = table;
+    return { Name: name, TermCount: entries.length };
+  }
+}
@@ -0,0 +1,128 @@
+import TranslationProvider from "./TranslationProvider.js";
+
+const ACCENTS = {
+  a: "à",
+  b: "ƀ",
+  c: "ç",
+  d: "ð",
+  e: "é",
+  f: "ƒ",
+  g: "ĝ",
+  h: "ĥ",
+  i: "î",
+  j: "ĵ",
+  k: "ķ",
+  l: "ļ",
+  m: "ɱ",
+  n: "ñ",
+  o: "ö",
+  p: "þ",
+  q: "ǫ",
+  r: "ŕ",
+  s: "š",
+  t: "ţ",
+  u: "û",
+  v: "ṽ",
+  w: "ŵ",
+  x: "ẋ",
+  y: "ý",
+  z: "ž",
+  A: "À",
+  B: "Ɓ",
+  C: "Ç",
+  D: "Ð",
+  E: "É",
+  F: "Ƒ",
+  G: "Ĝ",
+  H: "Ĥ",
+  I: "Î",
+  J: "Ĵ",
+  K: "Ķ",
+  L: "Ļ",
+  M: "Ṁ",
+  N: "Ñ",
+  O: "Ö",
+  P: "Þ",
+  Q: "Ǫ",
+  R: "Ŕ",
+  S: "Š",
+  T: "Ţ",
+  U: "Û",
+  V: "Ṽ",
+  W: "Ŵ",
+  X: "Ẋ",
+  Y: "Ý",
+  Z: "Ž",
+};
+// Masked tokens, raw placeholders/ICU arguments and tags stay untouched
+const PROTECTED_REGEX = /(\[PH\d+\]|\{[^{}]*\}|<[^<>]+>|&[#\w]+;)/;
+const RLO = "\u202E"; // right-to-left override
+const PDF = "\u202C"; // pop directional formatting
+
+const PSEUDO_LOCALES = {
+  "en-XA": {
+    folderCode: "en-XA",
+    awsCode: "en-XA",
+    name: "Pseudo (accented, expanded)",
+    direction: "ltr",
+    fallback: "en",
+    enabled: true,
+  },
+  "ar-XB": {
+    folderCode: "ar-XB",
+    awsCode: "ar-XB",
+    name: "Pseudo (RTL mirrored)",
+    direction: "rtl",
+    fallback: "en",
+    enabled: true,
+  },
+};
+
+/**
+ * PseudoTranslateProvider - pseudo-localization for QA. Letters are
+ * accented, the text is padded by `expansion` (default 40%) and bracketed,
+ * and the "ar-XB" target is additionally mirrored with RTL override marks.
+ * Never calls a remote service.
+ */
+export default class PseudoTranslateProvider extends TranslationProvider {
+  static LOCALES = PSEUDO_LOCALES;
+
+  constructor(opts = {}) {
+    super(opts);
+    const pseudo = opts.pseudo || {};
+    const expansion = Number(
+      pseudo.expansion ?? process.env.PSEUDO_EXPANSION ?? 0.4
+    );
+    if (!Number.isFinite(expansion) || expansion < 0) {
+      throw new Error(`Invalid pseudo expansion: ${pseudo.expansion}`);
+    }
+    this.expansion = expansion;
+    this.accents = pseudo.accents !== false;
+    this.brackets = pseudo.brackets !== false;
+  }
+
+  get name() {
+    return "pseudo";
+  }
+
+  get mock() {
+    return true;
+  }
+
+  async translateText(text, targetLang) {
+    const src = String(text ?? "");
+    const mirror = PSEUDO_LOCALES[targetLang]?.direction === "rtl";
+    let letters = 0;
+    const parts = src.split(PROTECTED_REGEX).map((part, i) => {
+      if (i % 2 === 1 || !part) return part; // protected chunk
+      letters += part.replace(/\s/g, "").length;
+      const out = this.accents
+        ? part.replace(/[A-Za-z]/g, (ch) => ACCENTS[ch] || ch)
+        : part;
+      return mirror ? `${RLO}${out}${PDF}` : out;
+    });
+    const pad = "~".repeat(Math.ceil(letters * this.expansion));
+    const body = parts.join("") + (pad ? ` ${pad}` : "");
+    return this.brackets ? `[${body}]` : body;
+  }
+}
@@ -0,0 +1,88 @@
+import { mapWithConcurrency } from "../Concurrency.js";
+
+/**
+ * TranslationProvider - contract every machine translation backend follows.
+ *
+ *  - translateText(text, targetLang)            -> string
+ *  - translateBatch(lines, targetLang, opts)    -> [{ key, text }]
+ *  - supportsJobs() / startJob / pollJob / fetchJobResults / cleanupJob
+ *    for asynchronous bulk jobs (optional)
+ *  - listTerminologies / importTerminology / useTerminology (optional)
+ *  - mock: true for offline/test backends whose output is not a real
+ *    translation and must not be remembered
+ *
+ * Subclasses override what they support; the rest fail loudly.
+ */
+export default class TranslationProvider {
+  constructor(opts = {}) {
+    this.sourceLang = opts.sourceLang || "en";
+    this.terminologyNames = Array.isArray(opts.terminologyNames)
+      ? opts.terminologyNames
+      : [];
+  }
+
+  get name() {
+    return "base";
+  }
+
+  get mock() {
+    return false;
+  }
+
+  _unsupported(method) {
+    const err = new Error(`${this.name} provider does not support ${method}`);
+    err.name = "ProviderUnsupported";
+    return err;
+  }
+
+  async translateText(text, targetLang) {
+    throw this._unsupported("translateText");
+  }
+
+  // Per-string translation with optional pool size and AdaptiveThrottle
+  async translateBatch(lines, targetLang, { concurrency = 1, throttle } = {}) {
+    const one = (text) => this.translateText(text, targetLang);
+    return mapWithConcurrency(lines, concurrency, async ({ key, text }) => ({
+      key,
+      text: await (throttle ? throttle.run(() => one(text)) : one(text)),
+    }));
+  }
+
+  supportsJobs() {
+    return false;
+  }
+
+  // -> { jobId, inputUri }
+  async startJob({ lines, targetLang, inputKey, outputUri }) {
+    throw this._unsupported("startJob");
+  }
+
+  // Resolves once the job has completed; throws if it failed
+  async pollJob({ jobId, logger }) {
+    throw this._unsupported("pollJob");
+  }
+
+  // -> [{ text }] in input line order
+  async fetchJobResults({ outputUri }) {
+    throw this._unsupported("fetchJobResults");
+  }
+
+  async cleanupJob({ inputKey, outputPrefix }) {
+    return null;
+  }
+
+  async listTerminologies() {
+    return [];
+  }
+
+  // entries: [{ source, targetLang, translation }]
+  async importTerminology(name, entries) {
+    throw this._unsupported("importTerminology");
+  }
+
+  useTerminology(names) {
+    this.terminologyNames = (Array.isArray(names) ? names : [names]).filter(
+      Boolean
+    );
+  }
+}
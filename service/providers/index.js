@@ -0,0 +1,33 @@
+// service/providers/index.js
+import TranslationProvider from "./TranslationProvider.js";
+import AwsTranslateProvider from "./AwsTranslateProvider.js";
+import LocalTranslateProvider from "./LocalTranslateProvider.js";
+import PseudoTranslateProvider from "./PseudoTranslateProvider.js";
+
+const PROVIDERS = {
+  aws: AwsTranslateProvider,
+  local: LocalTranslateProvider,
+  pseudo: PseudoTranslateProvider,
+};
+
+// `provider` may be a name from PROVIDERS or an existing provider instance
+function createProvider(provider = "aws", opts = {}) {
+  if (provider instanceof TranslationProvider) return provider;
+  const Provider = PROVIDERS[String(provider).trim().toLowerCase()];
+  if (!Provider) {
+    throw new Error(
+      `Unknown translation provider "${provider}" (expected: ${Object.keys(
+        PROVIDERS
+      ).join(", ")})`
+    );
+  }
+  return new Provider(opts);
+}
+
+export {
+  TranslationProvider,
+  AwsTranslateProvider,
+  LocalTranslateProvider,
+  PseudoTranslateProvider,
+  createProvider,
+};
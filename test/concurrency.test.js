@@ -0,0 +1,109 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  mapWithConcurrency,
+  isThrottleError,
+  AdaptiveThrottle,
+  sleep,
+} from "../service/Concurrency.js";
+
+test("keeps input order and never exceeds the limit", async () => {
+  let inFlight = 0;
+  let peak = 0;
+  const delays = [30, 5, 20, 1, 10, 15, 2];
+  const results = await mapWithConcurrency(delays, 3, async (ms, i) => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await sleep(ms);
+    inFlight--;
+    return `${i}:${ms}`;
+  });
+  assert.deepEqual(
+    results,
+    delays.map((ms, i) => `${i}:${ms}`)
+  );
+  assert.equal(peak, 3);
+  assert.deepEqual(await mapWithConcurrency([], 4, async () => 1), []);
+  // An invalid limit runs one at a time
+  peak = 0;
+  await mapWithConcurrency([1, 2, 3], "x", async () => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await sleep(1);
+    inFlight--;
+  });
+  assert.equal(peak, 1);
+});
+
+test("rejects with the first worker error", async () => {
+  const started = [];
+  await assert.rejects(
+    mapWithConcurrency([1, 2, 3, 4, 5], 2, async (n) => {
+      started.push(n);
+      await sleep(n);
+      if (n === 2) throw new Error("boom 2");
+      return n;
+    }),
+    /boom 2/
+  );
+  assert.deepEqual(started.slice(0, 2), [1, 2]);
+});
+
+test("recognises throttling errors", () => {
+  assert.ok(isThrottleError({ name: "ThrottlingException" }));
+  assert.ok(isThrottleError({ code: "SlowDown" }));
+  assert.ok(isThrottleError({ statusCode: 429 }));
+  assert.ok(isThrottleError({ $metadata: { httpStatusCode: 429 } }));
+  assert.ok(!isThrottleError(new Error("nope")));
+  assert.ok(!isThrottleError(null));
+});
+
+test("backs off on throttling and recovers on success", async () => {
+  const seen = [];
+  const throttle = new AdaptiveThrottle({
+    baseMs: 2,
+    maxMs: 8,
+    maxRetries: 5,
+    onThrottle: ({ attempt, delayMs }) => seen.push([attempt, delayMs]),
+  });
+  let calls = 0;
+  const result = await throttle.run(async () => {
+    if (++calls <= 4) throw { name: "ThrottlingException" };
+    return "ok";
+  });
+  assert.equal(result, "ok");
+  assert.deepEqual(seen, [
+    [1, 2],
+    [2, 4],
+    [3, 8],
+    [4, 8],
+  ]);
+  // Success halves the delay, then drops it once it reaches the base
+  assert.equal(throttle.delayMs, 4);
+  await throttle.run(async () => null);
+  assert.equal(throttle.delayMs, 2);
+  await throttle.run(async () => null);
+  assert.equal(throttle.delayMs, 0);
+});
+
+test("gives up after maxRetries and passes other errors through", async () => {
+  const throttle = new AdaptiveThrottle({ baseMs: 1, maxMs: 2, maxRetries: 2 });
+  let calls = 0;
+  await assert.rejects(
+    throttle.run(async () => {
+      calls++;
+      throw Object.assign(new Error("slow down"), { statusCode: 429 });
+    }),
+    /slow down/
+  );
+  assert.equal(calls, 3);
+  calls = 0;
+  await assert.rejects(
+    throttle.run(async () => {
+      calls++;
+      throw new Error("bad request");
+    }),
+    /bad request/
+  );
+  assert.equal(calls, 1);
+});
@@ -0,0 +1,109 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fsp from "fs/promises";
+import KeyStatus from "../service/KeyStatus.js";
+import CoverageReport, { localeCoverage } from "../service/CoverageReport.js";
+import { hashText, writeJsonPretty } from "../service/I18nHelpers.js";
+
+const SOURCE = { a: "Hello {name}", b: "Bye", "c.d": "Nested", n: 3 };
+
+test("counts translated, missing, extra and mismatched keys", () => {
+  const c = localeCoverage({
+    sourceFlat: SOURCE,
+    targetFlat: { a: "Kumusta {nm}", b: "Paalam", x: "extra" },
+    statuses: new KeyStatus("ph.json"),
+    exists: true,
+  });
+  assert.equal(c.total, 3);
+  assert.equal(c.translated, 2);
+  assert.equal(c.coverage, 66.7);
+  assert.deepEqual(c.keys.missing, ["c.d"]);
+  assert.equal(c.total, c.translated + c.missing);
+  assert.deepEqual(c.keys.extra, ["x"]);
+  assert.deepEqual(c.keys.placeholderMismatches, ["a"]);
+  assert.equal(c.untracked, 2);
+});
+
+test("counts empty translations as missing", () => {
+  const c = localeCoverage({
+    sourceFlat: SOURCE,
+    targetFlat: { a: "Kumusta {name}", b: "", "c.d": "X", n: 3 },
+    statuses: new KeyStatus("ph.json"),
+    exists: true,
+  });
+  assert.deepEqual(c.keys.missing, ["b"]);
+  assert.equal(c.total, c.translated + c.missing);
+});
+
+test("flags keys translated from a different English text as stale", () => {
+  const statuses = new KeyStatus("ph.json", {
+    a: { status: "approved", sourceHash: hashText("Hi {name}") },
+    b: { status: "machine", sourceHash: hashText("Bye") },
+    "c.d": { status: "needs_review", sourceHash: hashText("Nested") },
+  });
+  const c = localeCoverage({
+    sourceFlat: SOURCE,
+    targetFlat: { a: "Kumusta {name}", b: "Paalam", "c.d": "X", n: 3 },
+    statuses,
+    exists: true,
+  });
+  assert.deepEqual(c.keys.stale, ["a", "c.d"]);
+  assert.equal(c.coverage, 100);
+  assert.equal(c.untracked, 0);
+});
+
+test("falls back to job hashes for keys without a status entry", () => {
+  const c = localeCoverage({
+    sourceFlat: SOURCE,
+    targetFlat: { a: "Kumusta {name}", b: "Paalam", "c.d": "X" },
+    statuses: new KeyStatus("ph.json"),
+    jobHashes: { a: hashText("Hi {name}"), b: hashText("Bye") },
+    exists: true,
+  });
+  assert.deepEqual(c.keys.stale, ["a"]);
+  assert.deepEqual(c.keys.untracked, ["c.d"]);
+  assert.equal(c.untracked, 1);
+});
+
+test("reads job hashes only where the job wrote the current value", async () => {
+  const root = await fsp.mkdtemp(path.join(os.tmpdir(), "coverage-"));
+  const i18n = path.join(root, "i18n", "m");
+  const job = path.join(root, "jobs", "2026-01-01", "m");
+  await writeJsonPretty(path.join(i18n, "en.json"), {
+    a: "Hello",
+    b: "Bye",
+    c: "New",
+  });
+  await writeJsonPretty(path.join(i18n, "ph.json"), {
+    a: "Kumusta",
+    b: "Paalam (edited)",
+    c: "Bago",
+  });
+  await writeJsonPretty(
+    path.join(root, "jobs", "2026-01-01", "manifest.json"),
+    {
+      provider: "aws",
+      pseudo: false,
+    }
+  );
+  await writeJsonPretty(path.join(job, "ph.json"), {
+    a: "Kumusta",
+    b: "Paalam",
+    c: "Bago",
+  });
+  await writeJsonPretty(path.join(job, "ph.hashes.json"), {
+    a: hashText("Hello"),
+    b: hashText("Bye"),
+    c: hashText("Old"),
+  });
+  const report = await new CoverageReport({
+    i18nBaseDir: path.join(root, "i18n"),
+    outputRoot: path.join(root, "jobs"),
+  }).build({ modules: ["m"], locales: ["ph"] });
+  const ph = report.modules[0].locales.ph;
+  assert.deepEqual(ph.keys.stale, ["c"]);
+  assert.deepEqual(ph.keys.untracked, ["b"]);
+  await fsp.rm(root, { recursive: true, force: true });
+});
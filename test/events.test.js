@@ -0,0 +1,178 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import os from "os";
+import path from "path";
+import fsp from "fs/promises";
+import express from "express";
+import TranslationJobs from "../service/TranslationJobs.js";
+import { LocalTranslateProvider } from "../service/providers/index.js";
+import { writeJsonPretty } from "../service/I18nHelpers.js";
+
+const MODULE = "events_test_mod";
+
+// The router builds its TranslationJobs from the environment at import time
+const root = await fsp.mkdtemp(path.join(os.tmpdir(), "events-"));
+process.env.TRANSLATION_OUTPUT_ROOT = path.join(root, "jobs");
+process.env.I18N_BASE_DIR = path.join(root, "i18n");
+await writeJsonPretty(path.join(root, "i18n", MODULE, "en.json"), {
+  a: "Hello",
+});
+const { default: translationRoutes } = await import(
+  "../routes/translations.js"
+);
+
+// Holds every translation until release() so the job stays running
+function gate(t) {
+  let release;
+  let reached;
+  const released = new Promise((resolve) => (release = resolve));
+  const waiting = new Promise((resolve) => (reached = resolve));
+  const translate = LocalTranslateProvider.prototype.translateText;
+  t.mock.method(
+    LocalTranslateProvider.prototype,
+    "translateText",
+    async function (...args) {
+      reached();
+      await released;
+      return translate.apply(this, args);
+    }
+  );
+  return { waiting, release };
+}
+
+// Calls to TranslationJobs#subscribe, with the instance that answered them
+function spySubscribe(t) {
+  const calls = [];
+  const subscribe = TranslationJobs.prototype.subscribe;
+  t.mock.method(TranslationJobs.prototype, "subscribe", function (...args) {
+    calls.push({ jobs: this, jobId: args[0] });
+    return subscribe.apply(this, args);
+  });
+  return calls;
+}
+
+async function listen(t) {
+  const app = express();
+  app.use(express.json());
+  app.use("/translations", translationRoutes);
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  return `http://127.0.0.1:${server.address().port}/translations`;
+}
+
+// Opens the SSE stream; `events` fills as frames arrive and `ended`
+// resolves when the response closes
+function stream(url) {
+  const events = [];
+  let buffer = "";
+  let onEvent = () => {};
+  let req;
+  const ended = new Promise((resolve, reject) => {
+    req = http.get(url, (res) => {
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => {
+        buffer += chunk;
+        const frames = buffer.split("\n\n");
+        buffer = frames.pop();
+        for (const frame of frames) {
+          const data = frame
+            .split("\n")
+            .find((line) => line.startsWith("data: "));
+          data ? events.push(JSON.parse(data.slice(6))) : null;
+        }
+        onEvent();
+      });
+      res.on("close", resolve);
+    });
+    req.on("error", reject);
+  });
+  const until = (check) =>
+    new Promise((resolve) => {
+      onEvent = () => (check(events) ? resolve(events) : null);
+      onEvent();
+    });
+  return { events, ended, until, close: () => req.destroy() };
+}
+
+async function startJob(base) {
+  const res = await fetch(`${base}/jobs`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      modules: [MODULE],
+      locales: ["ph"],
+      provider: "local",
+    }),
+  });
+  assert.equal(res.status, 202);
+  return (await res.json()).jobId;
+}
+
+test("replays history to late subscribers and ends on job_end", async (t) => {
+  const { waiting, release } = gate(t);
+  const calls = spySubscribe(t);
+  const base = await listen(t);
+  const jobId = await startJob(base);
+  await waiting;
+
+  // Joins after job_start was emitted: it comes from the replayed history
+  const first = stream(`${base}/jobs/${jobId}/events`);
+  await first.until((evts) => evts.some((e) => e.type === "pair_begin"));
+  assert.equal(first.events[0].type, "snapshot");
+  assert.equal(first.events[0].jobId, jobId);
+  assert.ok(first.events.slice(1).some((e) => e.type === "job_start"));
+
+  const { jobs } = calls[0];
+  const emitter = jobs.running.get(jobId).runner.events;
+  const listeners = emitter.listenerCount("progress");
+  first.close();
+  await first.ended;
+  // The server sees the disconnect a moment after the client
+  for (
+    let i = 0;
+    i < 100 && emitter.listenerCount("progress") >= listeners;
+    i++
+  )
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  assert.equal(emitter.listenerCount("progress"), listeners - 1);
+
+  const second = stream(`${base}/jobs/${jobId}/events`);
+  await second.until((evts) => evts.some((e) => e.type === "pair_begin"));
+  release();
+  await second.ended;
+  assert.equal(second.events.at(-1).type, "job_end");
+  assert.equal(second.events.at(-1).status, "completed");
+  await jobs.running.get(jobId)?.promise;
+  assert.equal(emitter.listenerCount("progress"), listeners - 1);
+});
+
+test("a finished job sends its snapshot and job_end", async (t) => {
+  const calls = spySubscribe(t);
+  const base = await listen(t);
+  const jobId = await startJob(base);
+  const done = stream(`${base}/jobs/${jobId}/events`);
+  await done.ended;
+  assert.equal(done.events.at(-1).type, "job_end");
+  await calls[0].jobs.running.get(jobId)?.promise;
+  const late = stream(`${base}/jobs/${jobId}/events`);
+  await late.ended;
+  assert.deepEqual(
+    late.events.map((e) => e.type),
+    ["snapshot", "job_end"]
+  );
+  assert.equal(late.events[1].status, "completed");
+});
+
+test("an unknown job is a 404", async (t) => {
+  const base = await listen(t);
+  const res = await fetch(`${base}/jobs/nope/events`);
+  assert.equal(res.status, 404);
+  assert.equal((await res.json()).success, false);
+});
+
+test.after(() => fsp.rm(root, { recursive: true, force: true }));
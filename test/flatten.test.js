@@ -0,0 +1,83 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import path from "path";
+import fsp from "fs/promises";
+import { fileURLToPath } from "url";
+import {
+  flattenJson,
+  unflattenJson,
+  isTranslatable,
+} from "../service/I18nHelpers.js";
+
+const ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+async function moduleFiles() {
+  const files = [path.join(ROOT, "en.json"), path.join(ROOT, "vi.json")];
+  for (const base of ["i18n", "files"]) {
+    const dir = path.join(ROOT, base);
+    for (const mod of await fsp.readdir(dir)) {
+      const file = path.join(dir, mod, "en.json");
+      (await fsp.stat(file).catch(() => null)) ? files.push(file) : null;
+    }
+  }
+  return files;
+}
+
+test("round-trips every checked-in module file", async () => {
+  const files = await moduleFiles();
+  assert.ok(files.length > 0);
+  for (const file of files) {
+    const json = JSON.parse(await fsp.readFile(file, "utf8"));
+    assert.deepEqual(unflattenJson(flattenJson(json)), json, file);
+  }
+});
+
+test("addresses array elements by index path", () => {
+  const flat = flattenJson({
+    faq: { items: [{ title: "One" }, { title: "Two" }] },
+    steps: [["a", "b"], "c"],
+  });
+  assert.deepEqual(flat, {
+    "faq.items[0].title": "One",
+    "faq.items[1].title": "Two",
+    "steps[0][0]": "a",
+    "steps[0][1]": "b",
+    "steps[1]": "c",
+  });
+});
+
+test("keeps non-string and empty leaves verbatim", () => {
+  const json = {
+    count: 3,
+    enabled: false,
+    nothing: null,
+    blank: "",
+    emptyList: [],
+    emptyGroup: {},
+    numericKey: { 0: "zero" },
+    mixed: [1, "two", { three: true }],
+  };
+  const flat = flattenJson(json);
+  assert.deepEqual(unflattenJson(flat), json);
+  assert.deepEqual(
+    Object.keys(flat).filter((k) => isTranslatable(flat[k])),
+    ["numericKey.0", "mixed[1]"]
+  );
+});
+
+test("rebuilds a top-level array source as an array", () => {
+  const json = ["Hello", { title: "Two", tags: ["a", "b"] }, [3, "four"]];
+  const flat = flattenJson(json);
+  assert.deepEqual(Object.keys(flat), [
+    "[0]",
+    "[1].title",
+    "[1].tags[0]",
+    "[1].tags[1]",
+    "[2][0]",
+    "[2][1]",
+  ]);
+  const back = unflattenJson(flat);
+  assert.ok(Array.isArray(back));
+  assert.deepEqual(back, json);
+  assert.deepEqual(unflattenJson({}), {});
+});
@@ -0,0 +1,79 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildPo, parsePo } from "../service/GettextConverter.js";
+
+const UNITS = [
+  {
+    key: "greeting",
+    source: 'Hello {name}, "welcome"',
+    target: 'Kumusta {name}, "maligayang pagdating"',
+    status: "machine",
+  },
+  {
+    key: "items[0].label",
+    source: "Line one\nLine two",
+    target: "Unang linya\nIkalawang linya",
+    status: "needs_review",
+    comment: "Keep the line break",
+  },
+  { key: "empty", source: "Not yet", target: null, status: null },
+];
+
+test("PO round-trips keys, text, fuzzy flags and comments", () => {
+  const po = buildPo(UNITS, {
+    project: "m",
+    language: "tl",
+    reference: "m/en.json",
+  });
+  const { headers, units } = parsePo(po);
+  assert.equal(headers.Language, "tl");
+  assert.equal(headers["Project-Id-Version"], "m");
+  assert.deepEqual(
+    units.map(({ key, source, target }) => ({ key, source, target })),
+    UNITS.map(({ key, source, target }) => ({ key, source, target }))
+  );
+  assert.deepEqual(
+    units.map((u) => u.fuzzy),
+    [false, true, false]
+  );
+  assert.equal(units[1].comment, "Keep the line break");
+  assert.equal(units[0].comment, "");
+});
+
+test("POT has empty msgstr and no language", () => {
+  const { headers, units } = parsePo(
+    buildPo(UNITS, { project: "m", template: true })
+  );
+  assert.equal(headers.Language, "");
+  assert.ok(units.every((u) => u.target === null && !u.fuzzy));
+});
+
+test("parses entries without blank lines, plurals and obsolete entries", () => {
+  const { units } = parsePo(
+    [
+      'msgctxt "a"',
+      'msgid "A"',
+      'msgstr "Ah"',
+      "#, fuzzy",
+      'msgid "%d file"',
+      'msgid_plural "%d files"',
+      'msgstr[0] "%d file"',
+      'msgstr[1] "%d files"',
+      "",
+      '#~ msgid "old"',
+      '#~ msgstr "luma"',
+    ].join("\n")
+  );
+  assert.equal(units.length, 2);
+  assert.deepEqual(
+    { key: units[0].key, target: units[0].target, fuzzy: units[0].fuzzy },
+    { key: "a", target: "Ah", fuzzy: false }
+  );
+  assert.equal(units[1].key, "%d file");
+  assert.equal(units[1].plural, true);
+  assert.equal(units[1].fuzzy, true);
+});
+
+test("rejects invalid syntax", () => {
+  assert.throws(() => parsePo('msgid "a"\nbogus'), /Invalid PO syntax/);
+});
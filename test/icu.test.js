@@ -0,0 +1,137 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  parse,
+  print,
+  isComplexMessage,
+  argumentNames,
+  pluralCategories,
+  expandForLocale,
+  splitUnits,
+  unitHasText,
+  assembleUnits,
+} from "../service/IcuMessage.js";
+import TranslationRunner from "../service/TranslationRunner.js";
+
+const NESTED =
+  "{gender, select, female {{count, plural, =0 {She has none} one {She has # file} other {She has # files}}} other {{count, plural, one {# file} other {# files}}}}";
+
+test("parses and prints nested select-in-plural messages unchanged", () => {
+  assert.equal(print(parse(NESTED)), NESTED);
+  assert.ok(isComplexMessage(NESTED));
+  assert.deepEqual([...argumentNames(parse(NESTED))].sort(), [
+    "count",
+    "gender",
+  ]);
+  const [select] = parse(NESTED);
+  assert.equal(select.type, "select");
+  const [plural] = select.options[0].message;
+  assert.equal(plural.type, "plural");
+  assert.deepEqual(
+    plural.options.map((o) => o.selector),
+    ["=0", "one", "other"]
+  );
+  assert.ok(plural.options[1].message.some((n) => n.type === "pound"));
+});
+
+test("only valid messages with plural/select are complex", () => {
+  assert.equal(isComplexMessage("Hello {name}"), false);
+  assert.equal(isComplexMessage("{count, plural, one {# item}"), false);
+  assert.equal(isComplexMessage("{n, number}"), false);
+  assert.equal(
+    isComplexMessage("{n, selectordinal, one {#st} other {#th}}"),
+    true
+  );
+});
+
+test("uses the CLDR plural categories of the target locale", () => {
+  assert.deepEqual(pluralCategories("ar").sort(), [
+    "few",
+    "many",
+    "one",
+    "other",
+    "two",
+    "zero",
+  ]);
+  assert.deepEqual(pluralCategories("ja"), ["other"]);
+  assert.deepEqual(pluralCategories("xx-invalid-locale-"), ["other"]);
+
+  const src = parse("{count, plural, =0 {none} one {# item} other {# items}}");
+  const [ar] = expandForLocale(src, "ar");
+  const selectors = ar.options.map((o) => o.selector);
+  // Exact selectors first, "other" last
+  assert.equal(selectors[0], "=0");
+  assert.equal(selectors.at(-1), "other");
+  assert.deepEqual([...selectors].sort(), [
+    "=0",
+    "few",
+    "many",
+    "one",
+    "other",
+    "two",
+    "zero",
+  ]);
+  // Missing categories are seeded from "other"
+  const option = (sel) =>
+    print(ar.options.find((o) => o.selector === sel).message);
+  assert.equal(option("few"), "# items");
+  assert.equal(option("one"), "# item");
+  // "one" is dropped for a locale without it
+  assert.deepEqual(
+    expandForLocale(src, "ja")[0].options.map((o) => o.selector),
+    ["=0", "other"]
+  );
+});
+
+test("splits into units and assembles them back", () => {
+  const { units, shape } = splitUnits(parse(NESTED));
+  const texts = Object.fromEntries(units.map((u) => [u.id, u.text]));
+  assert.equal(texts["0"], "{§0}");
+  assert.equal(texts["0.0.0"], "{§0}");
+  assert.equal(texts["0.0.0.0.0"], "She has none");
+  assert.equal(texts["0.0.0.0.1"], "She has {#} file");
+  assert.equal(assembleUnits(shape, texts), NESTED);
+
+  const translated = {
+    ...texts,
+    "0.0.0.0.1": "Elle a {#} fichier",
+    "0.0.0.0.2": "Elle a {#} fichiers",
+  };
+  const out = assembleUnits(shape, translated);
+  assert.ok(out.includes("one {Elle a # fichier}"));
+  assert.ok(isComplexMessage(out));
+  // Missing units fall back
+  const partial = { ...translated };
+  delete partial["0.1.0.0"];
+  assert.equal(assembleUnits(shape, partial, texts), out);
+});
+
+test("the runner expands and collapses ICU lines losslessly", () => {
+  const runner = new TranslationRunner({ provider: "local", lint: false });
+  const lines = [
+    { key: "plain", text: "Hello {name}" },
+    { key: "files", text: NESTED },
+  ];
+  const { lines: units, icu } = runner.expandIcu(lines, { awsCode: "ja" });
+  assert.equal(units[0].key, "plain");
+  assert.ok(units.slice(1).every((u) => u.key.startsWith("files#icu:")));
+
+  const echoed = Object.fromEntries(units.map((u) => [u.key, u.text]));
+  const collapsed = runner.collapseIcu(echoed, icu);
+  assert.deepEqual(Object.keys(collapsed).sort(), ["files", "plain"]);
+  assert.equal(collapsed.plain, "Hello {name}");
+  // ja has only "other": the =0 exact selector stays, "one" is dropped
+  assert.equal(
+    collapsed.files,
+    "{gender, select, female {{count, plural, =0 {She has none} other {She has # files}}} other {{count, plural, other {# files}}}}"
+  );
+  assert.ok(isComplexMessage(collapsed.files));
+});
+
+test("units made only of references carry no text", () => {
+  assert.equal(unitHasText("{§0}"), false);
+  assert.equal(unitHasText(""), false);
+  assert.equal(unitHasText(" {#} "), false);
+  assert.equal(unitHasText("{name}"), false);
+  assert.equal(unitHasText("{#} file"), true);
+});
@@ -0,0 +1,92 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fsp from "fs/promises";
+import TranslationRunner from "../service/TranslationRunner.js";
+import { LocalTranslateProvider } from "../service/providers/index.js";
+import {
+  findPreviousJobOutput,
+  readJsonSafe,
+  writeJsonPretty,
+} from "../service/I18nHelpers.js";
+
+async function job(root, folder, manifest) {
+  const dir = path.join(root, folder);
+  manifest
+    ? await writeJsonPretty(path.join(dir, "manifest.json"), manifest)
+    : null;
+  await writeJsonPretty(path.join(dir, "m", "ph.json"), { a: folder });
+  await writeJsonPretty(path.join(dir, "m", "ph.hashes.json"), { a: "h" });
+}
+
+test("only carries output from earlier jobs of the same provider", async () => {
+  const root = await fsp.mkdtemp(path.join(os.tmpdir(), "jobs-"));
+  await job(root, "2026-01-01", { provider: "aws", pseudo: false });
+  await job(root, "2026-01-02", { provider: "local", pseudo: false });
+  await job(root, "2026-01-03", { provider: "pseudo", pseudo: true });
+  await job(root, "2026-01-04", null);
+  const find = (provider) =>
+    findPreviousJobOutput({
+      outputRoot: root,
+      currentFolder: "2026-01-05",
+      moduleName: "m",
+      localeCode: "ph",
+      provider,
+    });
+  assert.equal((await find("aws")).folder, "2026-01-01");
+  assert.deepEqual((await find("aws")).flat, { a: "2026-01-01" });
+  assert.equal((await find("local")).folder, "2026-01-02");
+  assert.equal(await find("pseudo"), null);
+  await fsp.rm(root, { recursive: true, force: true });
+});
+
+class RecordingProvider extends LocalTranslateProvider {
+  constructor(opts) {
+    super(opts);
+    this.texts = [];
+  }
+
+  async translateText(text, targetLang) {
+    this.texts.push(text);
+    return super.translateText(text, targetLang);
+  }
+}
+
+test("a second run sends only new or changed keys", async () => {
+  const root = await fsp.mkdtemp(path.join(os.tmpdir(), "incremental-"));
+  const enFile = path.join(root, "i18n", "incremental_mod", "en.json");
+  const run = async (jobId, en) => {
+    await writeJsonPretty(enFile, en);
+    const provider = new RecordingProvider();
+    const runner = new TranslationRunner({
+      provider,
+      jobId,
+      i18nBaseDir: path.join(root, "i18n"),
+      outputRoot: path.join(root, "jobs"),
+      modules: ["incremental_mod"],
+      targets: ["ph"],
+    });
+    const jobDir = await runner.generateBulkTranslations();
+    return {
+      texts: provider.texts.sort(),
+      out: await readJsonSafe(path.join(jobDir, "incremental_mod", "ph.json")),
+    };
+  };
+
+  const first = await run("2026-01-01_00-00-00", { a: "Hello", b: "Bye" });
+  assert.deepEqual(first.texts, ["Bye", "Hello"]);
+
+  const second = await run("2026-01-01_00-00-01", {
+    a: "Hello",
+    b: "Goodbye",
+    c: "New",
+  });
+  assert.deepEqual(second.texts, ["Goodbye", "New"]);
+  assert.deepEqual(second.out, {
+    a: "[tl] Hello",
+    b: "[tl] Goodbye",
+    c: "[tl] New",
+  });
+  await fsp.rm(root, { recursive: true, force: true });
+});
@@ -0,0 +1,38 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fsp from "fs/promises";
+import TranslationJobs from "../service/TranslationJobs.js";
+import JobManifest from "../service/JobManifest.js";
+import { writeJsonPretty } from "../service/I18nHelpers.js";
+
+const MODULE = "jobs_test_mod";
+
+test("a failed status write does not escape the job promise", async (t) => {
+  const root = await fsp.mkdtemp(path.join(os.tmpdir(), "jobs-"));
+  await writeJsonPretty(path.join(root, "i18n", MODULE, "en.json"), {
+    a: "Hello",
+  });
+  const jobs = new TranslationJobs({
+    outputRoot: path.join(root, "jobs"),
+    runnerOptions: { i18nBaseDir: path.join(root, "i18n"), lint: false },
+  });
+  t.mock.method(JobManifest.prototype, "setStatus", async () => {
+    throw new Error("disk full");
+  });
+  const { jobId } = await jobs.start({
+    modules: [MODULE],
+    locales: ["ph"],
+    provider: "local",
+  });
+  const entry = jobs.running.get(jobId);
+  const events = [];
+  entry.runner.events.on("progress", (evt) => events.push(evt));
+  await entry.promise;
+  assert.equal(entry.error, "disk full");
+  assert.equal(events.at(-1).type, "job_end");
+  assert.equal(events.at(-1).status, "failed");
+  assert.equal(jobs.running.has(jobId), false);
+  await fsp.rm(root, { recursive: true, force: true });
+});
@@ -0,0 +1,60 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import SourceLinter from "../service/SourceLinter.js";
+
+const FLAT = {
+  a: "Hello {name}",
+  b: "Bye ",
+  c: "Broken {name",
+  d: "Hello {name}",
+  e: "Item {0}",
+  f: "",
+  g: "Quoted '{'brace",
+  n: 3,
+};
+
+test("reports every rule with its default severity", () => {
+  const { issues, errors, warnings, skipKeys } = new SourceLinter().lint(FLAT);
+  assert.deepEqual(
+    issues.map((i) => `${i.severity}:${i.rule}:${i.key}`),
+    [
+      "warning:empty_string:f",
+      "warning:trailing_whitespace:b",
+      "error:unbalanced_braces:c",
+      "warning:duplicate_value:d",
+      "warning:inconsistent_placeholders:e",
+    ]
+  );
+  assert.equal(issues[3].related, "a");
+  assert.equal(errors, 1);
+  assert.equal(warnings, 4);
+  assert.deepEqual(skipKeys, ["c"]);
+});
+
+test("applies configured severities and onError", () => {
+  const linter = new SourceLinter({
+    rules: { duplicate_value: "error", unbalanced_braces: "off" },
+    onError: "abort",
+  });
+  const result = linter.lint(FLAT);
+  assert.ok(!result.issues.some((i) => i.rule === "unbalanced_braces"));
+  assert.equal(result.errors, 1);
+  assert.deepEqual(result.skipKeys, []);
+  assert.throws(
+    () => new SourceLinter({ rules: { nope: "error" } }),
+    /unknown rule/
+  );
+  assert.throws(() => new SourceLinter({ onError: "ignore" }), /onError/);
+});
+
+test("flags strings mixing placeholder styles", () => {
+  const { issues } = new SourceLinter().lint({
+    x: "{0} of {total}",
+    y: "Plain text",
+    z: "Hi {name}",
+  });
+  assert.deepEqual(
+    issues.map((i) => i.rule),
+    ["inconsistent_placeholders"]
+  );
+});
@@ -0,0 +1,113 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fsp from "fs/promises";
+import LocaleRegistry from "../service/LocaleRegistry.js";
+import { writeJsonPretty } from "../service/I18nHelpers.js";
+
+const SOURCE = { folderCode: "en", awsCode: "en", name: "English" };
+
+function config(targets) {
+  return { source: SOURCE, targets };
+}
+
+test("loads the default config with source fallbacks and directions", () => {
+  const registry = LocaleRegistry.load({ enabled: "ph,ar" });
+  assert.equal(registry.source.folderCode, "en");
+  assert.equal(registry.source.fallback, null);
+  assert.deepEqual(
+    registry.enabledTargets().map((t) => t.folderCode),
+    ["ph", "ar"]
+  );
+  assert.equal(registry.get("ph").direction, "ltr");
+  assert.equal(registry.get("ar").direction, "rtl");
+  assert.equal(registry.get("ph").fallback, "en");
+  assert.deepEqual(registry.fallbackChain("zh-tw"), ["zh"]);
+  assert.deepEqual(registry.fallbackChain("ph"), []);
+});
+
+test("loads a JSON file and defaults direction, fallback and enabled", async () => {
+  const root = await fsp.mkdtemp(path.join(os.tmpdir(), "locales-"));
+  const file = path.join(root, "locales.json");
+  await writeJsonPretty(file, config([{ folderCode: "vi", awsCode: "vi" }]));
+  const registry = LocaleRegistry.load({ file });
+  assert.deepEqual(registry.get("vi"), {
+    folderCode: "vi",
+    awsCode: "vi",
+    name: "vi",
+    direction: "ltr",
+    fallback: "en",
+    enabled: true,
+  });
+  assert.throws(
+    () => LocaleRegistry.load({ file: path.join(root, "missing.json") }),
+    /Cannot read locale config/
+  );
+  assert.throws(
+    () => LocaleRegistry.load({ file, enabled: "vi,xx" }),
+    /Unknown target locale\(s\): xx/
+  );
+  await fsp.rm(root, { recursive: true, force: true });
+});
+
+test("rejects invalid codes, directions and duplicates", () => {
+  assert.throws(() => new LocaleRegistry({}), /must define a source locale/);
+  assert.throws(
+    () =>
+      new LocaleRegistry(
+        config([
+          { folderCode: "vi", awsCode: "xx" },
+          { folderCode: "ph", awsCode: "tl", direction: "up" },
+          { folderCode: "ph", awsCode: "tl" },
+          { folderCode: "en", awsCode: "en" },
+        ])
+      ),
+    (e) =>
+      /vi: awsCode "xx" is not supported/.test(e.message) &&
+      /ph: direction must be "ltr" or "rtl"/.test(e.message) &&
+      /ph: duplicate folderCode/.test(e.message) &&
+      /en: target cannot equal source/.test(e.message)
+  );
+});
+
+test("rejects unknown and cyclic fallbacks", () => {
+  assert.throws(
+    () =>
+      new LocaleRegistry(
+        config([{ folderCode: "vi", awsCode: "vi", fallback: "xx" }])
+      ),
+    /vi: fallback "xx" is not a known locale/
+  );
+  assert.throws(
+    () =>
+      new LocaleRegistry(
+        config([
+          { folderCode: "pt", awsCode: "pt", fallback: "pt-pt" },
+          { folderCode: "pt-pt", awsCode: "pt-PT", fallback: "pt" },
+        ])
+      ),
+    /pt: fallback cycle pt -> pt-pt -> pt/
+  );
+  assert.throws(
+    () =>
+      new LocaleRegistry(
+        config([{ folderCode: "vi", awsCode: "vi", fallback: "vi" }])
+      ),
+    /vi: fallback cycle vi -> vi/
+  );
+});
+
+test("follows fallback chains up to the source", () => {
+  const registry = new LocaleRegistry(
+    config([
+      { folderCode: "zh-tw", awsCode: "zh-TW", fallback: "zh-hk" },
+      { folderCode: "zh-hk", awsCode: "zh-TW", fallback: "zh" },
+      { folderCode: "zh", awsCode: "zh" },
+      { folderCode: "vi", awsCode: "vi", fallback: null },
+    ])
+  );
+  assert.deepEqual(registry.fallbackChain("zh-tw"), ["zh-hk", "zh"]);
+  assert.deepEqual(registry.fallbackChain("zh"), []);
+  assert.deepEqual(registry.fallbackChain("vi"), []);
+});
@@ -0,0 +1,57 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  maskText,
+  unmaskText,
+  maskLines,
+  unmaskFlat,
+} from "../service/PlaceholderMask.js";
+
+const SAMPLES = [
+  "Hello {name}, you have {0} messages",
+  "Click <a href='/x'>here</a> &amp; continue",
+  "{count, plural, one {# item} other {# items}} left",
+  "Unbalanced { brace and [brackets]",
+  "Press [PH0] then {key}",
+  "Tokens [ph 1] and [ PH 2 ] stay literal",
+  "",
+];
+
+test("masks placeholders, markup and entities in order", () => {
+  const { text, tokens } = maskText("Hi {name}, <b>{0}</b> &nbsp;!");
+  assert.equal(text, "Hi [PH0], [PH1][PH2][PH3] [PH4]!");
+  assert.deepEqual(tokens, ["{name}", "<b>", "{0}", "</b>", "&nbsp;"]);
+  assert.deepEqual(maskText(3), { text: 3, tokens: [] });
+});
+
+test("round-trips every sample, including literal token lookalikes", () => {
+  for (const sample of SAMPLES) {
+    const { text, tokens } = maskText(sample);
+    assert.equal(unmaskText(text, tokens), sample);
+  }
+  const { text, tokens } = maskText("Press [PH0] then {key}");
+  assert.equal(text, "Press [PH0] then [PH1]");
+  assert.deepEqual(tokens, ["[PH0]", "{key}"]);
+  // A translation that moves and respaces the tokens
+  assert.equal(
+    unmaskText("[ ph 1 ] dann [PH0] drücken", tokens),
+    "{key} dann [PH0] drücken"
+  );
+});
+
+test("keeps tokens the engine invented", () => {
+  const { tokens } = maskText("Hi {name}");
+  assert.equal(unmaskText("Hallo [PH0] [PH7]", tokens), "Hallo {name} [PH7]");
+});
+
+test("masks and unmasks lines by key", () => {
+  const lines = SAMPLES.map((text, i) => ({ key: `k${i}`, text }));
+  const { masked, tokensByKey } = maskLines(lines);
+  assert.equal(masked[0].text, "Hello [PH0], you have [PH1] messages");
+  assert.deepEqual(tokensByKey.k0, ["{name}", "{0}"]);
+  const flat = Object.fromEntries(masked.map((l) => [l.key, l.text]));
+  assert.deepEqual(
+    unmaskFlat(flat, tokensByKey),
+    Object.fromEntries(lines.map((l) => [l.key, l.text]))
+  );
+});
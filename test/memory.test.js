@@ -0,0 +1,58 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { ScyllaDb } from "../utils/index.js";
+import TranslationMemory from "../service/TranslationMemory.js";
+import TranslationRunner from "../service/TranslationRunner.js";
+import { TranslationProvider } from "../service/providers/index.js";
+
+test("registers a custom table without dropping other table configs", async () => {
+  ScyllaDb.registerTableConfigs({ other_table: { PK: "pk" } });
+  await new TranslationMemory({ table: "tm_custom" }).init();
+  assert.equal(ScyllaDb.getSchemaFromConfig("tm_custom").PK, "id");
+  assert.equal(ScyllaDb.getSchemaFromConfig("other_table").PK, "pk");
+});
+
+test("retries init after a failed table config read", async (t) => {
+  const read = ScyllaDb.readTableConfigs.bind(ScyllaDb);
+  const mock = t.mock.method(ScyllaDb, "readTableConfigs", read);
+  mock.mock.mockImplementationOnce(async () => {
+    throw new Error("EIO");
+  });
+  const memory = new TranslationMemory({ table: "tm_retry" });
+  await assert.rejects(memory.init(), /EIO/);
+  await memory.init();
+  assert.equal(mock.mock.callCount(), 2);
+  assert.equal(ScyllaDb.getSchemaFromConfig("tm_retry").PK, "id");
+  await memory.init();
+  assert.equal(mock.mock.callCount(), 2);
+});
+
+class RealProvider extends TranslationProvider {
+  get name() {
+    return "real";
+  }
+}
+
+async function stored(provider) {
+  const runner = new TranslationRunner({
+    provider,
+    translationMemory: true,
+    lint: false,
+  });
+  const calls = [];
+  runner.memory = { store: async (entries) => calls.push(entries) };
+  await runner.storeMemory({
+    moduleName: "m",
+    target: { folderCode: "ph", awsCode: "tl" },
+    lines: [{ key: "a", text: "Hello" }],
+    translated: { a: "Kumusta" },
+  });
+  return calls;
+}
+
+test("only real providers write to the translation memory", async () => {
+  assert.equal((await stored("local")).length, 0);
+  assert.deepEqual(await stored(new RealProvider()), [
+    [{ text: "Hello", translation: "Kumusta" }],
+  ]);
+});
@@ -0,0 +1,67 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  resourceNames,
+  convertMessage,
+  buildAndroidXml,
+} from "../service/MobileExporter.js";
+
+const PLURAL =
+  "You have {count, plural, one {# message} other {# messages}} from {name}";
+
+test("sanitises keys per platform and keeps names unique", () => {
+  const keys = ["items[0].label", "itemsLabel", "items_label"];
+  assert.deepEqual(
+    [...resourceNames("faq", keys, "android").values()],
+    ["faq_items_0_label", "faq_items_label", "faq_items_label_2"]
+  );
+  assert.deepEqual(
+    [...resourceNames("faq", keys, "ios").values()],
+    ["faq.items.0.label", "faq.itemsLabel", "faq.items_label"]
+  );
+});
+
+test("numbers placeholders by their order in the source", () => {
+  const source = "{name} sent {file}";
+  assert.equal(
+    convertMessage("{file} ni {name}", source, "android").value,
+    "%2$s ni %1$s"
+  );
+  assert.equal(
+    convertMessage("{file} ni {name}", source, "ios").value,
+    "%2$@ ni %1$@"
+  );
+  assert.equal(convertMessage("Hi {name}", "Hi {name}", "ios").value, "Hi %@");
+  assert.equal(
+    convertMessage("{n} = 100%", "{n} = 100%", "android").value,
+    "%1$s = 100%%"
+  );
+  assert.equal(convertMessage("50%", "50%", "android").value, "50%");
+});
+
+test("converts a top-level plural to plurals and stringsdict entries", () => {
+  const android = convertMessage(PLURAL, PLURAL, "android").plural;
+  assert.deepEqual(android.options, [
+    { selector: "one", value: "You have %1$d message from %2$s" },
+    { selector: "other", value: "You have %1$d messages from %2$s" },
+  ]);
+  const ios = convertMessage(PLURAL, PLURAL, "ios").plural;
+  assert.equal(ios.formatKey, "You have %1$#@count@ from %2$@");
+  assert.deepEqual(
+    ios.options.map((o) => o.value),
+    ["%1$d message", "%1$d messages"]
+  );
+  const select = "{g, select, male {He} other {They}}";
+  assert.equal(convertMessage(select, select, "android"), null);
+});
+
+test("escapes Android string resources", () => {
+  const xml = buildAndroidXml(
+    [{ name: "a", value: `@Don't "quote" <b>` }],
+    "m/en.json"
+  );
+  assert.match(
+    xml,
+    /<string name="a">\\@Don\\'t \\"quote\\" &lt;b&gt;<\/string>/
+  );
+});
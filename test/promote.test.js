@@ -0,0 +1,147 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fsp from "fs/promises";
+import TranslationPromoter from "../service/TranslationPromoter.js";
+import KeyStatus from "../service/KeyStatus.js";
+import {
+  hashText,
+  readJsonSafe,
+  writeJsonPretty,
+} from "../service/I18nHelpers.js";
+
+const MODULE = "promote_test_mod";
+
+async function fixture({
+  status = "completed",
+  pairStatus = "completed",
+} = {}) {
+  const root = await fsp.mkdtemp(path.join(os.tmpdir(), "promote-"));
+  const i18nDir = path.join(root, "i18n");
+  const jobDir = path.join(root, "jobs", "job1");
+  await writeJsonPretty(path.join(i18nDir, MODULE, "en.json"), {
+    a: "Hello",
+    b: "Bye",
+  });
+  await writeJsonPretty(path.join(i18nDir, MODULE, "ph.json"), {
+    a: "Hi (old)",
+    b: "Paalam (old)",
+  });
+  await writeJsonPretty(path.join(jobDir, "manifest.json"), {
+    status,
+    pairs: { [`${MODULE}/ph`]: { status: pairStatus } },
+  });
+  await writeJsonPretty(path.join(jobDir, MODULE, "ph.json"), {
+    a: "Kumusta",
+    b: "Paalam",
+  });
+  await writeJsonPretty(path.join(jobDir, MODULE, "ph.status.json"), {
+    a: { status: "machine", updatedAt: "2026-01-01T00:00:00.000Z" },
+    b: { status: "machine", updatedAt: "2026-01-01T00:00:00.000Z" },
+  });
+  const promoter = new TranslationPromoter({
+    outputRoot: path.join(root, "jobs"),
+    backupRoot: path.join(root, "backups"),
+    i18nBaseDir: i18nDir,
+  });
+  const target = path.join(i18nDir, MODULE, "ph.json");
+  return { root, promoter, target };
+}
+
+test("refuses jobs that did not complete", async () => {
+  for (const status of ["failed", "cancelled", "dry_run", "running"]) {
+    const { root, promoter, target } = await fixture({ status });
+    await assert.rejects(promoter.promote("job1"), /only completed jobs/);
+    assert.equal((await readJsonSafe(target)).a, "Hi (old)");
+    await fsp.rm(root, { recursive: true, force: true });
+  }
+});
+
+test("promotes only completed pairs", async () => {
+  const failed = await fixture({
+    status: "completed_with_errors",
+    pairStatus: "failed",
+  });
+  const r1 = await failed.promoter.promote("job1");
+  assert.equal(r1.promoted.length, 0);
+  assert.equal(r1.skipped[0].pairStatus, "failed");
+  assert.equal((await readJsonSafe(failed.target)).a, "Hi (old)");
+  await fsp.rm(failed.root, { recursive: true, force: true });
+
+  const done = await fixture();
+  const r2 = await done.promoter.promote("job1");
+  assert.equal(r2.promoted.length, 1);
+  assert.deepEqual(await readJsonSafe(done.target), {
+    a: "Kumusta",
+    b: "Paalam",
+  });
+  assert.ok(r2.promoted[0].backup);
+  await fsp.rm(done.root, { recursive: true, force: true });
+});
+
+test("keeps i18n keys locked after the job ran", async () => {
+  const { root, promoter, target } = await fixture();
+  const status = await KeyStatus.load(target);
+  status.set("a", "locked", { sourceHash: hashText("Hello") });
+  await status.save();
+
+  const diff = await promoter.diffJob("job1");
+  assert.deepEqual(diff[0].kept, ["a"]);
+
+  const result = await promoter.promote("job1");
+  assert.deepEqual(result.promoted[0].kept, ["a"]);
+  assert.deepEqual(await readJsonSafe(target), {
+    a: "Hi (old)",
+    b: "Paalam",
+  });
+  const after = await KeyStatus.load(target);
+  assert.equal(after.get("a").status, "locked");
+  assert.equal(after.get("b").status, "machine");
+  await fsp.rm(root, { recursive: true, force: true });
+});
+
+test("re-translations win over approvals given for an older source", async () => {
+  const { root, promoter, target } = await fixture();
+  const status = await KeyStatus.load(target);
+  status.set("a", "approved", { sourceHash: hashText("Hi") });
+  await status.save();
+
+  const diff = await promoter.diffJob("job1");
+  assert.deepEqual(diff[0].kept, []);
+  assert.deepEqual(diff[0].reReview, ["a"]);
+
+  const result = await promoter.promote("job1");
+  assert.equal(result.promoted.length, 1);
+  assert.deepEqual(result.promoted[0].reReview, ["a"]);
+  assert.equal((await readJsonSafe(target)).a, "Kumusta");
+  const entry = (await KeyStatus.load(target)).get("a");
+  assert.equal(entry.status, "needs_review");
+  assert.equal(entry.sourceHash, hashText("Hello"));
+  assert.equal(entry.previous, "Hi (old)");
+  assert.equal(entry.previousStatus, "approved");
+  await fsp.rm(root, { recursive: true, force: true });
+});
+
+test("keeps the job's own needs_review entry after a source change", async () => {
+  const { root, promoter, target } = await fixture();
+  const status = await KeyStatus.load(target);
+  status.set("a", "approved", { sourceHash: hashText("Hi") });
+  await status.save();
+  const jobStatus = await KeyStatus.load(
+    path.join(root, "jobs", "job1", MODULE, "ph.json")
+  );
+  jobStatus.set("a", "needs_review", {
+    sourceHash: hashText("Hello"),
+    previous: "Hi (reviewed)",
+    previousStatus: "approved",
+  });
+  await jobStatus.save();
+
+  await promoter.promote("job1");
+  const entry = (await KeyStatus.load(target)).get("a");
+  assert.equal(entry.status, "needs_review");
+  assert.equal(entry.previous, "Hi (reviewed)");
+  assert.equal((await readJsonSafe(target)).a, "Kumusta");
+  await fsp.rm(root, { recursive: true, force: true });
+});
@@ -0,0 +1,91 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import TranslationRunner from "../service/TranslationRunner.js";
+import {
+  TranslationProvider,
+  AwsTranslateProvider,
+  LocalTranslateProvider,
+  PseudoTranslateProvider,
+  createProvider,
+} from "../service/providers/index.js";
+
+test("creates providers by name", () => {
+  assert.ok(createProvider("local") instanceof LocalTranslateProvider);
+  assert.ok(createProvider(" Pseudo ") instanceof PseudoTranslateProvider);
+  const aws = createProvider("aws", { client: {}, roleArn: "arn:role" });
+  assert.ok(aws instanceof AwsTranslateProvider);
+  assert.equal(aws.supportsJobs(), true);
+  assert.equal(createProvider("aws", { client: {} }).supportsJobs(), false);
+  assert.equal(createProvider("local", { sourceLang: "fr" }).sourceLang, "fr");
+});
+
+test("passes provider instances through and rejects unknown names", () => {
+  const local = new LocalTranslateProvider();
+  assert.equal(createProvider(local), local);
+  assert.throws(
+    () => createProvider("deepl"),
+    /Unknown translation provider "deepl" \(expected: aws, local, pseudo\)/
+  );
+});
+
+test("the base provider fails loudly for what it does not support", async () => {
+  const base = new TranslationProvider();
+  assert.equal(base.mock, false);
+  await assert.rejects(base.translateText("Hi", "fr"), {
+    name: "ProviderUnsupported",
+    message: "base provider does not support translateText",
+  });
+  await assert.rejects(base.startJob({}), /does not support startJob/);
+  assert.equal(await base.cleanupJob({}), null);
+});
+
+test("the runner resolves its provider through createProvider", () => {
+  const local = new TranslationRunner({ provider: "local", lint: false });
+  assert.equal(local.provider.name, "local");
+  const custom = new LocalTranslateProvider({ lookup: {} });
+  assert.equal(
+    new TranslationRunner({ provider: custom, lint: false }).provider,
+    custom
+  );
+  // Pseudo mode always uses the pseudo provider
+  const pseudo = new TranslationRunner({
+    provider: "local",
+    pseudo: true,
+    lint: false,
+  });
+  assert.equal(pseudo.provider.name, "pseudo");
+  assert.throws(
+    () => new TranslationRunner({ provider: "nope", lint: false }),
+    /Unknown translation provider/
+  );
+});
+
+test("pseudo output is accented, expanded and bracketed", async () => {
+  const pseudo = new PseudoTranslateProvider();
+  // 9 letters -> ceil(9 * 0.4) = 4 padding characters
+  assert.equal(
+    await pseudo.translateText("Hello all", "en-XA"),
+    "[Ĥéļļö àļļ ~~~~]"
+  );
+  const plain = new PseudoTranslateProvider({
+    pseudo: { expansion: 1, accents: false, brackets: false },
+  });
+  assert.equal(await plain.translateText("Hi", "en-XA"), "Hi ~~");
+  assert.equal(await pseudo.translateText("", "en-XA"), "[]");
+  assert.throws(
+    () => new PseudoTranslateProvider({ pseudo: { expansion: -1 } }),
+    /Invalid pseudo expansion/
+  );
+});
+
+test("pseudo output keeps placeholders, tokens, tags and entities intact", async () => {
+  const pseudo = new PseudoTranslateProvider();
+  const out = await pseudo.translateText(
+    "Hi {name}, <b>[PH0]</b> &amp; {count, number}",
+    "en-XA"
+  );
+  assert.ok(out.startsWith("[Ĥî {name}, <b>[PH0]</b> &amp; {count, number}"));
+  assert.ok(out.endsWith("~]"));
+  const rtl = await pseudo.translateText("Hi {name}", "ar-XB");
+  assert.equal(rtl, "[\u202EĤî \u202C{name} ~]");
+});
@@ -0,0 +1,81 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import QualityChecker from "../service/QualityChecker.js";
+
+const checker = new QualityChecker({
+  maxLength: { "menu.*": 10, "menu.home": 4 },
+  forbiddenTerms: { ph: ["bawal"], "*": ["TODO"] },
+});
+const run = (source, target, { key = "k", locale = "ph" } = {}) =>
+  checker
+    .check({
+      sourceFlat: { [key]: source },
+      targetFlat: { [key]: target },
+      locale,
+    })
+    .issues.map((i) => `${i.severity}:${i.check}`);
+
+test("clean translations have no issues", () => {
+  assert.deepEqual(
+    run(
+      "Hello <b>{name}</b>, see https://x.io/a.",
+      "Kumusta <b>{name}</b>, tingnan ang https://x.io/a."
+    ),
+    []
+  );
+});
+
+test("reports each check", () => {
+  assert.deepEqual(run("<b>Bold</b>", "Makapal"), ["error:html_tags"]);
+  assert.deepEqual(run("Save ", "I-save"), ["warning:whitespace"]);
+  assert.deepEqual(run("Done.", "Tapos!"), ["warning:punctuation"]);
+  assert.deepEqual(run("Settings", "Settings"), ["warning:untranslated"]);
+  assert.deepEqual(run("{count}", "{count}"), []);
+  assert.deepEqual(run("Pay 1,000 now", "Magbayad ng 1.000 ngayon"), []);
+  assert.deepEqual(run("Wait 30 days", "Maghintay ng 3 araw"), [
+    "warning:numbers",
+  ]);
+  assert.deepEqual(run("Go to www.a.com", "Pumunta"), ["error:urls"]);
+  assert.deepEqual(run("Mail a@b.co", "Mag-email"), ["error:emails"]);
+  assert.deepEqual(run("Bawal here", "Bawal dito"), ["error:forbidden_terms"]);
+  assert.deepEqual(run("Todo", "TODO", { locale: "es" }), [
+    "error:forbidden_terms",
+  ]);
+  assert.deepEqual(run("Bawal", "bawalan", { locale: "ph" }), []);
+});
+
+test("max length uses the exact key before prefix patterns", () => {
+  assert.deepEqual(run("Home", "Tahanan", { key: "menu.home" }), [
+    "error:max_length",
+  ]);
+  assert.deepEqual(run("Profile", "Propayl", { key: "menu.profile" }), []);
+  assert.deepEqual(run("Profile", "Propayl", { key: "other" }), []);
+});
+
+test("skips missing keys and validates config", () => {
+  const { issues } = checker.check({
+    sourceFlat: { a: "Hello", b: "Bye" },
+    targetFlat: { a: "Kumusta" },
+    locale: "ph",
+  });
+  assert.deepEqual(issues, []);
+  assert.throws(
+    () => new QualityChecker({ checks: { nope: "error" } }),
+    /unknown check/
+  );
+  assert.throws(
+    () => new QualityChecker({ maxLength: { a: 0 } }),
+    /positive integer/
+  );
+  assert.throws(
+    () => new QualityChecker({ forbiddenTerms: { ph: "x" } }),
+    /list of strings/
+  );
+  assert.deepEqual(
+    new QualityChecker({ checks: { untranslated: "off" } }).check({
+      sourceFlat: { a: "Same" },
+      targetFlat: { a: "Same" },
+    }).issues,
+    []
+  );
+});
@@ -0,0 +1,127 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fsp from "fs/promises";
+import TranslationReview from "../service/TranslationReview.js";
+import KeyStatus from "../service/KeyStatus.js";
+import {
+  hashText,
+  readJsonSafe,
+  writeJsonPretty,
+} from "../service/I18nHelpers.js";
+
+const MODULE = "review_test_mod";
+
+async function fixture() {
+  const root = await fsp.mkdtemp(path.join(os.tmpdir(), "review-"));
+  const dir = path.join(root, "i18n", MODULE);
+  await writeJsonPretty(path.join(dir, "en.json"), {
+    greet: "Hello {name}",
+    bye: "Bye",
+    n: 3,
+  });
+  await writeJsonPretty(path.join(dir, "ph.json"), {
+    greet: "Kumusta {name}",
+    bye: "Paalam",
+    n: 3,
+  });
+  const review = new TranslationReview({
+    i18nBaseDir: path.join(root, "i18n"),
+    outputRoot: path.join(root, "jobs"),
+    backupRoot: path.join(root, "backups"),
+  });
+  return { root, review, file: path.join(dir, "ph.json") };
+}
+
+test("loads source and target side by side with parity issues", async () => {
+  const { root, review, file } = await fixture();
+  await writeJsonPretty(file, { greet: "Kumusta", n: 3 });
+  const data = await review.load({ moduleName: MODULE, locale: "ph" });
+  assert.equal(data.location, "i18n");
+  assert.equal(data.ok, false);
+  const rows = Object.fromEntries(data.rows.map((r) => [r.key, r]));
+  assert.equal(rows.greet.source, "Hello {name}");
+  assert.deepEqual(rows.greet.issues[0], {
+    type: "placeholder_mismatch",
+    missingPH: ["name"],
+    extraPH: [],
+  });
+  assert.equal(rows.bye.target, null);
+  assert.equal(rows.n.editable, false);
+  await fsp.rm(root, { recursive: true, force: true });
+});
+
+test("saves edits and statuses after backing up the i18n file", async () => {
+  const { root, review, file } = await fixture();
+  const saved = await review.save({
+    moduleName: MODULE,
+    locale: "ph",
+    edits: { bye: "Paalam na" },
+    statuses: { greet: "approved" },
+  });
+  assert.deepEqual(saved.saved, ["bye"]);
+  assert.deepEqual(saved.statuses, { greet: "approved", bye: "reviewed" });
+  assert.deepEqual(await readJsonSafe(file), {
+    greet: "Kumusta {name}",
+    bye: "Paalam na",
+    n: 3,
+  });
+  assert.equal((await readJsonSafe(saved.backup)).bye, "Paalam");
+
+  const statuses = await readJsonSafe(KeyStatus.fileFor(file));
+  assert.equal(statuses.greet.status, "approved");
+  assert.equal(statuses.greet.sourceHash, hashText("Hello {name}"));
+  assert.equal(statuses.bye.status, "reviewed");
+  assert.equal(statuses.bye.sourceHash, hashText("Bye"));
+  await fsp.rm(root, { recursive: true, force: true });
+});
+
+test("refuses edits to locked keys unless they are unlocked too", async () => {
+  const { root, review, file } = await fixture();
+  const save = (edits, statuses) =>
+    review.save({ moduleName: MODULE, locale: "ph", edits, statuses });
+  await save({}, { bye: "locked" });
+  await assert.rejects(save({ bye: "Sige" }), /Cannot edit key\(s\): bye/);
+  assert.equal((await readJsonSafe(file)).bye, "Paalam");
+  await save({ bye: "Sige" }, { bye: "reviewed" });
+  assert.equal((await readJsonSafe(file)).bye, "Sige");
+  await assert.rejects(save({ n: "x" }), /Cannot edit key\(s\): n/);
+  await assert.rejects(save({}, { bye: "done" }), /Cannot edit key\(s\): bye/);
+  await fsp.rm(root, { recursive: true, force: true });
+});
+
+test("refuses edits that break placeholder parity", async () => {
+  const { root, review, file } = await fixture();
+  await assert.rejects(
+    review.save({
+      moduleName: MODULE,
+      locale: "ph",
+      edits: { greet: "Kumusta {pangalan}" },
+    }),
+    /placeholder\/ICU parity.*placeholder_mismatch/
+  );
+  assert.equal((await readJsonSafe(file)).greet, "Kumusta {name}");
+  assert.equal(await readJsonSafe(KeyStatus.fileFor(file)), null);
+  await fsp.rm(root, { recursive: true, force: true });
+});
+
+test("edits a job's output in place without a backup", async () => {
+  const { root, review } = await fixture();
+  const jobFile = path.join(root, "jobs", "job1", MODULE, "ph.json");
+  await writeJsonPretty(jobFile, { greet: "[tl] {name}", bye: "[tl] Bye" });
+  const saved = await review.save({
+    jobId: "job1",
+    moduleName: MODULE,
+    locale: "ph",
+    edits: { bye: "Paalam" },
+  });
+  assert.equal(saved.location, "job");
+  assert.equal(saved.backup, null);
+  assert.equal((await readJsonSafe(jobFile)).bye, "Paalam");
+  await assert.rejects(
+    review.save({ jobId: "job2", moduleName: MODULE, locale: "ph" }),
+    /not found in job job2/
+  );
+  await fsp.rm(root, { recursive: true, force: true });
+});
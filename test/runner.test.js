@@ -0,0 +1,333 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fsp from "fs/promises";
+import TranslationRunner from "../service/TranslationRunner.js";
+import { LocalTranslateProvider } from "../service/providers/index.js";
+import { readJsonSafe, writeJsonPretty } from "../service/I18nHelpers.js";
+
+const MODULE = "runner_test_mod";
+
+async function setup(en, opts = {}) {
+  const root = await fsp.mkdtemp(path.join(os.tmpdir(), "runner-"));
+  await writeJsonPretty(path.join(root, "i18n", MODULE, "en.json"), en);
+  const runner = new TranslationRunner({
+    provider: "local",
+    i18nBaseDir: path.join(root, "i18n"),
+    outputRoot: path.join(root, "jobs"),
+    modules: [MODULE],
+    targets: ["ph"],
+    ...opts,
+  });
+  const events = [];
+  runner.events.on("progress", (evt) => events.push(evt));
+  return { root, runner, events };
+}
+
+test("a lint abort marks the job failed", async () => {
+  const { root, runner, events } = await setup(
+    { a: "Broken {name" },
+    { lint: { onError: "abort" } }
+  );
+  await assert.rejects(runner.generateBulkTranslations(), /Source lint failed/);
+  const manifest = await readJsonSafe(
+    path.join(root, "jobs", runner.tsFolder, "manifest.json")
+  );
+  assert.equal(manifest.status, "failed");
+  assert.match(manifest.error, /Source lint failed/);
+  assert.ok(manifest.finishedAt);
+  const end = events.find((e) => e.type === "job_end");
+  assert.equal(end.status, "failed");
+  await fsp.rm(root, { recursive: true, force: true });
+});
+
+test("a dry run only writes the estimate", async () => {
+  const { root, runner, events } = await setup(
+    { a: "Hello", b: "Goodbye {name}" },
+    { dryRun: true, pricing: { perMillion: 20 } }
+  );
+  const jobDir = await runner.generateBulkTranslations();
+  const estimate = await readJsonSafe(path.join(jobDir, "estimate.json"));
+  assert.equal(estimate.strings, 2);
+  assert.ok(estimate.characters > "Hello".length);
+  assert.equal(estimate.cost, runner.price(estimate.characters));
+  assert.equal(estimate.pairs[0].pairId, `${MODULE}/ph`);
+  const manifest = await readJsonSafe(path.join(jobDir, "manifest.json"));
+  assert.equal(manifest.status, "dry_run");
+  assert.equal(manifest.estimate.characters, estimate.characters);
+  assert.equal(await readJsonSafe(path.join(jobDir, MODULE, "ph.json")), null);
+  assert.equal(events.find((e) => e.type === "job_end").status, "dry_run");
+  await fsp.rm(root, { recursive: true, force: true });
+});
+
+test("exceeding the character budget fails the job before translating", async () => {
+  const { root, runner } = await setup({ a: "Hello" }, { charBudget: 3 });
+  await assert.rejects(
+    runner.generateBulkTranslations(),
+    /Character budget exceeded: 5 character\(s\) to translate, budget 3/
+  );
+  const jobDir = path.join(root, "jobs", runner.tsFolder);
+  const manifest = await readJsonSafe(path.join(jobDir, "manifest.json"));
+  assert.equal(manifest.status, "failed");
+  const estimate = await readJsonSafe(path.join(jobDir, "estimate.json"));
+  assert.equal(estimate.withinBudget, false);
+  assert.equal(await readJsonSafe(path.join(jobDir, MODULE, "ph.json")), null);
+  await fsp.rm(root, { recursive: true, force: true });
+});
+
+test("a generated job id gets a suffix when its folder already exists", async () => {
+  const { root, runner } = await setup({ a: "Hello" });
+  const base = runner.tsFolder;
+  await fsp.mkdir(path.join(root, "jobs", base), { recursive: true });
+  await fsp.mkdir(path.join(root, "jobs", `${base}-2`));
+  const jobDir = await runner.generateBulkTranslations();
+  assert.equal(runner.tsFolder, `${base}-3`);
+  assert.equal(jobDir, path.join(root, "jobs", `${base}-3`));
+  const manifest = await readJsonSafe(path.join(jobDir, "manifest.json"));
+  assert.equal(manifest.jobId, `${base}-3`);
+  assert.deepEqual(await fsp.readdir(path.join(root, "jobs", base)), []);
+  await fsp.rm(root, { recursive: true, force: true });
+});
+
+const FALLBACK_EN = {
+  greet: "Hello {name}",
+  items: "{count, plural, one {# item} other {# items}}",
+  bye: "Bye {name}",
+  ok: "All good",
+};
+const FALLBACK_LOOKUP = {
+  tl: {
+    "Hello {name}": "Kumusta",
+    "{count, plural, one {# item} other {# items}}": "{count} na item",
+    "Bye {name}": "Paalam",
+    "All good": "Ayos lahat",
+  },
+};
+
+async function setupFallback(onInvalid) {
+  const fixture = await setup(FALLBACK_EN, {
+    provider: new LocalTranslateProvider({ lookup: FALLBACK_LOOKUP }),
+    maskPlaceholders: false,
+    icu: false,
+    onInvalid,
+  });
+  // Checked-in translation: a valid previous value for "bye" only
+  await writeJsonPretty(path.join(fixture.root, "i18n", MODULE, "ph.json"), {
+    greet: "Kumusta",
+    bye: "Paalam {name}",
+  });
+  return fixture;
+}
+
+test("invalid keys fail the pair under the fail policy", async () => {
+  const { root, runner } = await setupFallback("fail");
+  await runner.generateBulkTranslations();
+  const jobDir = path.join(root, "jobs", runner.tsFolder);
+  const manifest = await readJsonSafe(path.join(jobDir, "manifest.json"));
+  assert.equal(manifest.status, "completed_with_errors");
+  const pair = manifest.pairs[`${MODULE}/ph`];
+  assert.equal(pair.status, "failed");
+  assert.match(pair.error, /placeholder_mismatch/);
+  assert.match(pair.error, /icu_invalid/);
+  assert.equal(await readJsonSafe(path.join(jobDir, MODULE, "ph.json")), null);
+  assert.equal(
+    await readJsonSafe(path.join(jobDir, MODULE, "ph.rejected.json")),
+    null
+  );
+  await fsp.rm(root, { recursive: true, force: true });
+});
+
+test("invalid keys fall back to a valid previous value or the source", async () => {
+  const { root, runner } = await setupFallback("fallback");
+  await runner.generateBulkTranslations();
+  const jobDir = path.join(root, "jobs", runner.tsFolder);
+  const manifest = await readJsonSafe(path.join(jobDir, "manifest.json"));
+  assert.equal(manifest.status, "completed");
+  assert.deepEqual(await readJsonSafe(path.join(jobDir, MODULE, "ph.json")), {
+    greet: "Hello {name}",
+    items: FALLBACK_EN.items,
+    bye: "Paalam {name}",
+    ok: "Ayos lahat",
+  });
+  const report = await readJsonSafe(
+    path.join(jobDir, MODULE, "ph.rejected.json")
+  );
+  assert.equal(report.policy, "fallback");
+  assert.equal(report.count, 3);
+  assert.deepEqual(
+    report.keys.map(({ key, reason, rejected, fallback }) => ({
+      key,
+      reason,
+      rejected,
+      fallback,
+    })),
+    [
+      {
+        key: "greet",
+        reason: "placeholder_mismatch",
+        rejected: "Kumusta",
+        fallback: "source",
+      },
+      {
+        key: "bye",
+        reason: "placeholder_mismatch",
+        rejected: "Paalam",
+        fallback: "previous",
+      },
+      {
+        key: "items",
+        reason: "icu_invalid",
+        rejected: "{count} na item",
+        fallback: "source",
+      },
+    ]
+  );
+  assert.deepEqual(report.keys[0].details, {
+    missingPH: ["name"],
+    extraPH: [],
+  });
+  // Fallbacks get no source hash, so the next run retries them
+  const hashes = await readJsonSafe(
+    path.join(jobDir, MODULE, "ph.hashes.json")
+  );
+  assert.deepEqual(Object.keys(hashes), ["ok"]);
+  await fsp.rm(root, { recursive: true, force: true });
+});
+
+test("invalid keys fall back along the registry fallback chain", async () => {
+  const { root, runner } = await setup(
+    { greet: "Hello {name}", ok: "All good" },
+    {
+      provider: new LocalTranslateProvider({ lookup: FALLBACK_LOOKUP }),
+      maskPlaceholders: false,
+      onInvalid: "fallback",
+      locales: {
+        source: { folderCode: "en", awsCode: "en" },
+        targets: [
+          { folderCode: "ph", awsCode: "tl", fallback: "vi" },
+          { folderCode: "vi", awsCode: "vi" },
+        ],
+      },
+    }
+  );
+  await writeJsonPretty(path.join(root, "i18n", MODULE, "vi.json"), {
+    greet: "Xin chào {name}",
+  });
+  await runner.generateBulkTranslations();
+  const jobDir = path.join(root, "jobs", runner.tsFolder);
+  assert.deepEqual(await readJsonSafe(path.join(jobDir, MODULE, "ph.json")), {
+    greet: "Xin chào {name}",
+    ok: "Ayos lahat",
+  });
+  const report = await readJsonSafe(
+    path.join(jobDir, MODULE, "ph.rejected.json")
+  );
+  assert.deepEqual(
+    report.keys.map(({ key, fallback, fallbackLocale }) => ({
+      key,
+      fallback,
+      fallbackLocale,
+    })),
+    [{ key: "greet", fallback: "locale", fallbackLocale: "vi" }]
+  );
+  await fsp.rm(root, { recursive: true, force: true });
+});
+
+class CountingProvider extends LocalTranslateProvider {
+  constructor(opts) {
+    super(opts);
+    this.calls = [];
+    this.texts = [];
+  }
+
+  async translateText(text, targetLang) {
+    this.calls.push(targetLang);
+    this.texts.push(text);
+    return super.translateText(text, targetLang);
+  }
+}
+
+test("a resumed job skips pairs completed in an earlier run", async () => {
+  const { root, runner } = await setup(
+    { a: "Hello" },
+    { targets: ["ph", "vi"] }
+  );
+  const jobDir = await runner.generateBulkTranslations();
+  const manifestFile = path.join(jobDir, "manifest.json");
+  const manifest = await readJsonSafe(manifestFile);
+  manifest.status = "failed";
+  manifest.pairs[`${MODULE}/vi`].status = "failed";
+  await writeJsonPretty(manifestFile, manifest);
+
+  const provider = new CountingProvider({
+    lookup: { vi: { Hello: "Xin chào" } },
+  });
+  const resumed = new TranslationRunner({
+    provider,
+    i18nBaseDir: path.join(root, "i18n"),
+    outputRoot: path.join(root, "jobs"),
+    modules: [MODULE],
+    targets: ["ph", "vi"],
+    resumeJobId: runner.tsFolder,
+  });
+  const events = [];
+  resumed.events.on("progress", (evt) => events.push(evt));
+  assert.equal(await resumed.generateBulkTranslations(), jobDir);
+
+  assert.deepEqual(provider.calls, ["vi"]);
+  const ends = events.filter((e) => e.type === "pair_end");
+  assert.equal(ends.find((e) => e.targetFolder === "ph").status, "skipped");
+  assert.deepEqual(await readJsonSafe(path.join(jobDir, MODULE, "ph.json")), {
+    a: "[tl] Hello",
+  });
+  assert.deepEqual(await readJsonSafe(path.join(jobDir, MODULE, "vi.json")), {
+    a: "Xin chào",
+  });
+  const after = await readJsonSafe(manifestFile);
+  assert.equal(after.status, "completed");
+  assert.equal(after.pairs[`${MODULE}/vi`].status, "completed");
+  await fsp.rm(root, { recursive: true, force: true });
+});
+
+test("resuming an unknown job fails", async () => {
+  const { root } = await setup({ a: "Hello" });
+  const runner = new TranslationRunner({
+    provider: "local",
+    outputRoot: path.join(root, "jobs"),
+    resumeJobId: "2020-01-01_00-00-00",
+  });
+  await assert.rejects(runner.generateBulkTranslations(), /Cannot resume job/);
+  await fsp.rm(root, { recursive: true, force: true });
+});
+
+test("pseudo mode turns off checks pseudo output always trips", async () => {
+  const { root, runner } = await setup(
+    { a: "Hello.", b: "Save {count} files" },
+    { pseudo: true, quality: { config: { maxLength: { a: 3 } } } }
+  );
+  const jobDir = await runner.generateBulkTranslations();
+  const qa = await readJsonSafe(path.join(jobDir, MODULE, "en-XA.qa.json"));
+  assert.equal(qa.checks.punctuation, "off");
+  assert.equal(qa.checks.untranslated, "off");
+  assert.equal(qa.checks.max_length, "off");
+  assert.equal(qa.checks.numbers, "warning");
+  assert.deepEqual(qa.issues, []);
+  await fsp.rm(root, { recursive: true, force: true });
+});
+
+test("ICU units without text are not sent for translation", async () => {
+  const provider = new CountingProvider();
+  const { root, runner } = await setup(
+    { files: "{count, plural, =0 {} one {# file} other {# files}}" },
+    { provider, pricing: { perMillion: 20 }, charBudget: 100 }
+  );
+  const jobDir = await runner.generateBulkTranslations();
+  assert.deepEqual(provider.texts.sort(), ["[PH0] file", "[PH0] files"]);
+  const estimate = await readJsonSafe(path.join(jobDir, "estimate.json"));
+  assert.equal(estimate.strings, 2);
+  assert.deepEqual(await readJsonSafe(path.join(jobDir, MODULE, "ph.json")), {
+    files: "{count, plural, =0 {} one {[tl] # file} other {[tl] # files}}",
+  });
+  await fsp.rm(root, { recursive: true, force: true });
+});
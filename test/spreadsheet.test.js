@@ -0,0 +1,127 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { parse as toCsv } from "json2csv";
+import ExcelJS from "exceljs";
+import os from "os";
+import path from "path";
+import fsp from "fs/promises";
+import SpreadsheetExchange, {
+  parseCsv,
+} from "../service/SpreadsheetExchange.js";
+import KeyStatus from "../service/KeyStatus.js";
+import { readJsonSafe, writeJsonPretty } from "../service/I18nHelpers.js";
+
+const MODULE = "sheet_test_mod";
+const FIELDS = ["module", "key", "en", "ph"];
+
+async function fixture() {
+  const root = await fsp.mkdtemp(path.join(os.tmpdir(), "sheet-"));
+  const dir = path.join(root, "i18n", MODULE);
+  await writeJsonPretty(path.join(dir, "en.json"), {
+    greet: "Hello {name}",
+    bye: "Bye",
+    title: "Title",
+  });
+  await writeJsonPretty(path.join(dir, "ph.json"), {
+    greet: "Kumusta {name}",
+    bye: "Paalam",
+    title: "Pamagat",
+  });
+  const sheets = new SpreadsheetExchange({
+    i18nBaseDir: path.join(root, "i18n"),
+    outputRoot: path.join(root, "jobs"),
+    backupRoot: path.join(root, "backups"),
+  });
+  return { root, sheets, file: path.join(dir, "ph.json") };
+}
+
+function csv(rows) {
+  return Buffer.from(toCsv(rows, { fields: FIELDS, withBOM: true }));
+}
+
+test("parses json2csv output back into the same cells", () => {
+  const rows = [
+    { module: "m", key: "a", en: 'Say "hi", {name}', ph: "Line 1\nLine 2" },
+    { module: "m", key: "b", en: "Plain", ph: "" },
+  ];
+  const fields = ["module", "key", "en", "ph"];
+  const parsed = parseCsv(toCsv(rows, { fields, withBOM: true }));
+  assert.deepEqual(parsed, [
+    fields,
+    ...rows.map((r) => fields.map((f) => r[f])),
+  ]);
+});
+
+test("detects semicolon delimiters and CRLF line endings", () => {
+  assert.deepEqual(parseCsv('module;key;ph\r\nm;a;"x; y"\r\n\r\n'), [
+    ["module", "key", "ph"],
+    ["m", "a", "x; y"],
+  ]);
+});
+
+test("rejects unterminated quotes", () => {
+  assert.throws(() => parseCsv('module,key\n"m,a'), /unterminated/);
+});
+
+test("applies edited cells and reports rejected and stale rows", async () => {
+  const { root, sheets, file } = await fixture();
+  const upload = csv([
+    { module: MODULE, key: "greet", en: "Hello {name}", ph: "Hi {pangalan}" },
+    { module: MODULE, key: "bye", en: "Goodbye", ph: "Paalam na" },
+    { module: MODULE, key: "title", en: "Title", ph: "" },
+    { module: MODULE, key: "ghost", en: "Boo", ph: "Multo" },
+  ]);
+
+  const dry = await sheets.import({ file: upload, dryRun: true });
+  assert.equal(dry.accepted, 1);
+  assert.equal((await readJsonSafe(file)).bye, "Paalam");
+  assert.equal(await KeyStatus.load(file).then((s) => s.get("bye")), null);
+
+  const report = await sheets.import({ file: upload });
+  assert.equal(report.format, "csv");
+  assert.equal(report.rows, 4);
+  assert.deepEqual(report.locales, ["ph"]);
+  assert.equal(report.accepted, 1);
+  assert.deepEqual(report.files[0].accepted, ["bye"]);
+  assert.deepEqual(
+    report.rejected.map((r) => `${r.locale}:${r.key}:${r.reason}`),
+    ["ph:greet:validation", "ph:ghost:unknown_key"]
+  );
+  assert.deepEqual(report.stale, [{ moduleName: MODULE, key: "bye" }]);
+  assert.deepEqual(await readJsonSafe(file), {
+    greet: "Kumusta {name}",
+    bye: "Paalam na",
+    title: "Pamagat",
+  });
+  assert.equal((await KeyStatus.load(file)).get("bye").status, "reviewed");
+  await fsp.rm(root, { recursive: true, force: true });
+});
+
+test("round-trips an XLSX export back through import", async () => {
+  const { root, sheets, file } = await fixture();
+  const exported = await sheets.export({
+    modules: [MODULE],
+    locales: ["ph"],
+    format: "xlsx",
+  });
+  assert.deepEqual(exported.columns, FIELDS);
+  assert.equal(exported.rows, 3);
+
+  const same = await sheets.import({ file: exported.body });
+  assert.equal(same.format, "xlsx");
+  assert.equal(same.accepted, 0);
+  assert.deepEqual(same.rejected, []);
+  assert.deepEqual(same.stale, []);
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(exported.body);
+  const sheet = workbook.worksheets[0];
+  sheet.eachRow((row) =>
+    row.getCell(2).value === "title" ? (row.getCell(4).value = "Titulo") : null
+  );
+  const edited = Buffer.from(await workbook.xlsx.writeBuffer());
+  const report = await sheets.import({ file: edited });
+  assert.equal(report.accepted, 1);
+  assert.equal((await readJsonSafe(file)).title, "Titulo");
+  await fsp.rm(root, { recursive: true, force: true });
+});
@@ -0,0 +1,116 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import fsp from "fs/promises";
+import XliffConverter, {
+  buildXliff,
+  parseXliff,
+} from "../service/XliffConverter.js";
+import KeyStatus from "../service/KeyStatus.js";
+import { readJsonSafe, writeJsonPretty } from "../service/I18nHelpers.js";
+
+const UNITS = [
+  {
+    key: "greeting",
+    source: "Hello {name} & <b>welcome</b>",
+    target: "Kumusta {name} & <b>maligayang pagdating</b>",
+    status: "machine",
+  },
+  { key: "items[0].label", source: "First", target: "Una", status: "approved" },
+  { key: "empty", source: "Not yet", target: null, status: null },
+];
+const META = { sourceLang: "en", targetLang: "tl", original: "m/ph.json" };
+
+for (const version of ["1.2", "2.0"]) {
+  test(`XLIFF ${version} round-trips keys, text and states`, async () => {
+    const parsed = await parseXliff(buildXliff(UNITS, { ...META, version }));
+    assert.equal(parsed.version, version);
+    assert.equal(parsed.sourceLang, "en");
+    assert.equal(parsed.targetLang, "tl");
+    assert.deepEqual(
+      parsed.units.map(({ key, source, target }) => ({ key, source, target })),
+      UNITS.map(({ key, source, target }) => ({ key, source, target }))
+    );
+    assert.equal(parsed.units[1].status, "approved");
+    assert.ok(parsed.units.every((u) => !u.markup));
+  });
+}
+
+test("flags inline markup in targets", async () => {
+  const xml = `<xliff version="1.2"><file target-language="tl"><body>
+    <trans-unit id="a"><source>Hi</source><target>H<g id="1">i</g></target></trans-unit>
+  </body></file></xliff>`;
+  const { units } = await parseXliff(xml);
+  assert.equal(units[0].markup, true);
+  assert.equal(units[0].target, null);
+});
+
+test("rejects unsupported versions", async () => {
+  await assert.rejects(parseXliff('<xliff version="3.0"/>'), /Unsupported/);
+  assert.throws(() => buildXliff([], { ...META, version: "1.1" }));
+});
+
+const MODULE = "xliff_test_mod";
+
+test("imports valid units and reports rejected ones", async () => {
+  const root = await fsp.mkdtemp(path.join(os.tmpdir(), "xliff-"));
+  const dir = path.join(root, "i18n", MODULE);
+  const file = path.join(dir, "ph.json");
+  await writeJsonPretty(path.join(dir, "en.json"), {
+    greet: "Hello {name}",
+    bye: "Bye",
+    title: "Title",
+  });
+  await writeJsonPretty(file, {
+    greet: "Kumusta {name}",
+    bye: "Paalam",
+    title: "Pamagat",
+  });
+  const status = await KeyStatus.load(file);
+  status.set("title", "locked", {});
+  await status.save();
+  const converter = new XliffConverter({
+    i18nBaseDir: path.join(root, "i18n"),
+    outputRoot: path.join(root, "jobs"),
+    backupRoot: path.join(root, "backups"),
+  });
+  const xml = buildXliff(
+    [
+      { key: "greet", source: "Hello {name}", target: "Hi {pangalan}" },
+      { key: "bye", source: "Bye", target: "Paalam na" },
+      { key: "title", source: "Title", target: "Bagong pamagat" },
+      { key: "ghost", source: "Boo", target: "Multo" },
+    ],
+    { ...META, original: `${MODULE}/ph.json` }
+  );
+  const args = { moduleName: MODULE, locale: "ph", xml };
+
+  const dry = await converter.import({ ...args, dryRun: true });
+  assert.deepEqual(dry.accepted, ["bye"]);
+  assert.equal((await readJsonSafe(file)).bye, "Paalam");
+
+  const report = await converter.import(args);
+  assert.equal(report.version, "1.2");
+  assert.deepEqual(report.accepted, ["bye"]);
+  assert.deepEqual(
+    report.rejected.map(({ key, reason }) => `${key}:${reason}`),
+    ["greet:validation", "title:locked", "ghost:unknown_key"]
+  );
+  assert.equal(report.rejected[0].details[0].type, "placeholder_mismatch");
+  assert.deepEqual(await readJsonSafe(file), {
+    greet: "Kumusta {name}",
+    bye: "Paalam na",
+    title: "Pamagat",
+  });
+  const after = await KeyStatus.load(file);
+  assert.equal(after.get("bye").status, "reviewed");
+  assert.equal(after.get("title").status, "locked");
+  assert.ok(report.backup);
+
+  await assert.rejects(
+    converter.import({ ...args, locale: "vi" }),
+    /does not match vi/
+  );
+  await fsp.rm(root, { recursive: true, force: true });
+});
@@ -331,8 +331,29 @@ export default class ScyllaDb {
    * Load table configurations from file
    */
   static async loadTableConfigs(filePath) {
+    const configs = await ScyllaDb.readTableConfigs(filePath);
+    ScyllaDb.#tableConfigs = configs;
+    console.log("Table configs loaded", { count: Object.keys(configs).length });
+  }
+
+  /**
+   * Merge table configurations into the loaded ones, keeping other tables
+   */
+  static registerTableConfigs(configs) {
+    if (!configs || typeof configs !== "object" || Array.isArray(configs)) {
+      throw new TypeError(
+        "registerTableConfigs: configs must be an object (tableName → config)"
+      );
+    }
+    ScyllaDb.#tableConfigs = { ...ScyllaDb.#tableConfigs, ...configs };
+  }
+
+  /**
+   * Read table configurations from a .js or .json file
+   */
+  static async readTableConfigs(filePath) {
     if (!filePath) {
-      throw new TypeError("loadTableConfigs: filePath is required");
+      throw new TypeError("readTableConfigs: filePath is required");
     }
 
     let configs;
@@ -355,9 +376,7 @@ export default class ScyllaDb {
         "Config file must export an object (tableName → config)"
       );
     }
-
-    ScyllaDb.#tableConfigs = configs;
-    console.log("Table configs loaded", { count: Object.keys(configs).length });
+    return configs;
   }
 
   /**
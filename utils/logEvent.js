@@ -0,0 +1,22 @@
+import Logger from "./UtilityLogger.js";
+
+// Structured service log entry through Logger.writeLog (console fallback).
+// `data` gets a timestamp; `critical` is passed through to the log route.
+export default function logEvent(
+  flag,
+  action,
+  message,
+  data = {},
+  critical = false
+) {
+  const payload = {
+    flag,
+    action,
+    message,
+    critical,
+    data: { ...data, time: Date.now() },
+  };
+  typeof Logger?.writeLog === "function"
+    ? Logger.writeLog(payload)
+    : console.log(payload);
+}